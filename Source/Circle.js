@@ -0,0 +1,95 @@
+/**
+ * Constructs a new Circle: the area within a distance of a location, measured along the surface of the Earth,
+ * optionally with several concentric range rings.
+ *
+ * @param {LatLong} center - The location at the center
+ * @param {number|number[]} radius - The distance to the edge, or the distances to each ring (see style.units)
+ * @param {object} [style]
+ *      @param {string} [style.units="km"] - "km" for radii in kilometers, or "degrees" for radii as angles from the center of the Earth
+ *      @param {number} [style.rings=1] - For a single radius, how many evenly spaced rings to draw out to it
+ *      @param {string} [style.fill="rgba(255,0,0,0.2)"] - A CSS color to fill the outermost ring with, or null for no fill
+ *      @param {string} [style.stroke="rgba(255,0,0,0.8)"] - A CSS color for the rings, or null for no outline
+ *      @param {number} [style.lineWidth=1] - The outline width in pixels
+ *      @param {number[]} [style.dash] - A dash pattern in pixels for the rings, as for CanvasRenderingContext2D.setLineDash()
+ * @constructor
+ */
+function Circle(center, radius, style)
+{
+	"use strict";
+	style = style || {};
+	if (!(center instanceof LatLong))
+		throw "A circle needs a LatLong at its center";
+	var units = style.units || "km";
+	if (units !== "km" && units !== "degrees")
+		throw "Unknown circle units: " + units;
+	var radii = radius instanceof Array ? radius.slice() : [radius];
+	if (!radii.length)
+		throw "A circle needs at least one radius";
+	var rings = style.rings || 1;
+	if (radii.length === 1 && rings > 1)
+	{
+		for (var r = 1; r < rings; ++r)
+			radii[r] = (radii[0] * (r + 1)) / rings;
+		radii[0] /= rings;
+	}
+	this.center = center;
+	this.radiiKm = radii.map(function(r) {
+		if (!(r > 0))
+			throw "A circle’s radius must be a positive number";
+		return units === "degrees" ? (r / 180) * Math.PI * LatLong.EARTH_RADIUS_KM : r;
+	}).sort(function(a, b) { return a - b; });
+	this.fill = style.fill === undefined ? "rgba(255,0,0,0.2)" : style.fill;
+	this.stroke = style.stroke === undefined ? "rgba(255,0,0,0.8)" : style.stroke;
+	this.lineWidth = style.lineWidth || 1;
+	this.dash = style.dash || null;
+	this.samples = null; // Cached by getSamples()
+}
+
+/**
+ * The number of points around each ring
+ */
+Circle.SAMPLE_COUNT = 120;
+
+/**
+ * Returns the rings of the circle, from the innermost out, as closed arrays of vectors from the center of the Earth
+ * (see LatLong.prototype.toVector). The points are cached, so call resetSamples() after changing the center or radii.
+ *
+ * @return {{x:number, y:number, z:number}[][]}
+ */
+Circle.prototype.getSamples = function()
+{
+	"use strict";
+	if (this.samples)
+		return this.samples;
+	var samples = [];
+	for (var r = 0; r < this.radiiKm.length; ++r)
+	{
+		var vectors = [];
+		for (var i = 0; i <= Circle.SAMPLE_COUNT; ++i)
+			vectors.push(this.center.destination((i % Circle.SAMPLE_COUNT) * 360 / Circle.SAMPLE_COUNT, this.radiiKm[r]).toVector());
+		samples.push(vectors);
+	}
+	this.samples = samples;
+	return samples;
+};
+
+/**
+ * Clears the cached sample points, so they’re recalculated on the next draw.
+ */
+Circle.prototype.resetSamples = function()
+{
+	"use strict";
+	this.samples = null;
+};
+
+/**
+ * Returns whether a location is within the outermost ring.
+ *
+ * @param {LatLong} latLong - The location
+ * @return {boolean}
+ */
+Circle.prototype.contains = function(latLong)
+{
+	"use strict";
+	return this.center.distanceTo(latLong) <= this.radiiKm[this.radiiKm.length - 1];
+};
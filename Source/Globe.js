@@ -2,110 +2,365 @@
  * Constructs a Globe object that renders in 3D with standard 2D canvas contexts and no 3D libraries.
  * 
  * The required image property of the options parameter is either the img itself, or the ID of the img.
- * The image must be a Lambert projection for correct rendering. The ideal image resolution would
- * have a height equal to the diameter, and a width equal to the diameter × pi. If the image isn’t specified
- * or can’t be loaded, then a simple clip-art style texture will be used instead.
+ * The image must be a Lambert cylindrical equal-area projection unless options.projection says otherwise.
+ * For a Lambert image, the ideal image resolution would have a height equal to the diameter, and a width equal
+ * to the diameter × pi. An equirectangular image should be twice as wide as it is high, and a Mercator image
+ * should be square, covering latitudes up to about ±85.05°. If the image isn’t specified or can’t be loaded,
+ * then a simple clip-art style texture will be used instead.
  * 
  * @param {object} [options]
  *      @param {string|HTMLElement} options.div - The container element in which to put the globe, either as a string ID or the actual element
+ *      @param {object} [options.canvas] - Instead of a div, a canvas-like object to render onto (such as a node-canvas Canvas), or an
+ *           ImageData-like object ({width, height, data}) to render only the globe image into. The globe isn't interactive without a div.
+ *           Without a diameter, the globe fills the canvas, and without margins, it’s centered on the canvas.
+ *      @param {function} [options.createCanvas] - Creates a canvas-like object from a width and height, for the layers and snapshots.
+ *           Needed with a canvas-like options.canvas, or an image that isn’t ImageData, where there’s no document (e.g. node-canvas’s
+ *           createCanvas). An ImageData-like options.canvas with the clip-art texture or an ImageData-like image needs no canvas at all.
+ *      @param {object} [options.clock=Globe.browserClock] - The source of the time and animation frames (see Globe.ManualClock)
  *      @param {number} [options.diameter=256] - The diameter of the globe
  *      @param {string|HTMLElement} [options.image] - Image element or ID of image element. See details in the function description above.
  * 			 If omitted or not found, a simple clip-art style texture will be used intead. An ideal image should have a height equal to the globe diameter, and a width 
+ *      @param {string} [options.quality="nearest"] - How the texture is sampled: "nearest" (fastest), "bilinear" (smooth when the texture
+ *           is enlarged), or "supersampled" (bilinear with four samples per pixel, and the edge of the globe anti-aliased from its coverage of a 4 by 4 grid in each pixel)
+ *      @param {string} [options.projection="lambert"] - The map projection of the image: "lambert", "equirectangular" or "mercator"
  *      @param {number} [options.horizontalMargin=0] - Margin to left and right of globe
  *      @param {number} [options.verticalMargin=0] - Margin to top and bottom of globe
  *      @param {boolean} [options.shading=true] - True to put mild shading on the globe
  *      @param {string} [options.locationColor="#F00"] - The color of location dots and text
  *      @param {number} [options.textShiftDown=0.5] - The vertical text positioning adjustment, relative to the text height.
- *      @param {boolean} [options.interactive=true] = Controls whether the user can spin the globe with a mouse
+ *      @param {string} [options.labelFont="10px sans-serif"] - The CSS font of location labels (a LatLong’s .font overrides it)
+ *      @param {boolean} [options.labelLayout=true] - True to move or hide labels that would overlap, with higher LatLong .labelPriority labels placed first
+ *      @param {number} [options.pixelRatio=window.devicePixelRatio] - The number of canvas pixels per CSS pixel, for sharp drawing on
+ *           high-DPI screens. Coordinates passed to and returned from the globe's methods are always in CSS pixels.
+ *      @param {boolean} [options.singleCanvas=false] - True to draw everything on one canvas, instead of on a stack of canvases
+ *      @param {boolean} [options.responsive=false] - True to resize the globe to fit the width of the div whenever the div changes size
+ *      @param {boolean} [options.interactive=true] = Controls whether the user can spin the globe with a mouse, touch, pen or the arrow keys
+ *      @param {number} [options.keyDegrees=10] - How many degrees each arrow key press turns the globe
+ *      @param {number} [options.tilt=0] - The latitude in degrees facing the viewer (positive tilts the north pole toward the viewer)
+ *      @param {number} [options.roll=0] - The rotation in degrees of the globe around the viewing axis (positive is counterclockwise)
+ *      @param {number} [options.zoom=1] - The scale of the globe relative to the diameter. Above 1 the globe extends beyond the canvas.
+ *      @param {number} [options.minZoom=1] - The smallest zoom allowed
+ *      @param {number} [options.maxZoom=8] - The largest zoom allowed
+ *      @param {boolean} [options.sunlight=false] - True to darken the night side of the globe, following the sun for the time set by setTime()
+ *      @param {Date|number} [options.time] - The time for sunlight, as a Date or as milliseconds like (new Date()).getTime(). Real time if omitted.
+ *      @param {string|HTMLElement} [options.nightImage] - An image element or ID of an image of night lights to show on the night side.
+ *           It must use the same projection as the main image.
+ *      @param {number} [options.nightBrightness=0.3] - How bright the night side is (0 to 1) when there’s no night image
+ *      @param {function} [options.regionColorScale] - Converts region values to CSS fill colors (see setRegionColorScale)
+ *      @param {string} [options.markerShape="circle"] - The shape of location markers without one of their own: "circle", "square", "triangle" or "pin"
+ *      @param {function} [options.markerSizeScale] - Converts location values to marker radii (see setMarkerSizeScale)
+ *      @param {function} [options.markerRenderer] - Draws every location marker instead of the built-in shapes (see setMarkerRenderer)
+ *      @param {boolean|object} [options.graticule=false] - True to draw latitude and longitude lines, or graticule options (see setGraticule)
+ *      @param {Heatmap|object} [options.heatmap] - A density layer, or the options for one (see setHeatmap)
+ *      @param {boolean|object} [options.cluster=false] - True to cluster nearby locations into count bubbles, or clustering options (see setClustering)
+ *      @param {boolean|function} [options.tooltip=false] - True to show a tooltip with the description and details of the hovered location,
+ *           or a function that takes the LatLong and returns the tooltip HTML (or nothing for no tooltip)
  * @constructor
  */
 function Globe(options)
 {
 	"use strict";
 	options = options || {};
-	this.size = options.diameter || 256;
+	var target = options.div ? null : options.canvas; // Rendering without the DOM
+	this.xOffset = options.horizontalMargin || 0;
+	this.yOffset = options.verticalMargin || 0;
+	this.size = options.diameter || (target ? Math.min(target.width - this.xOffset * 2, target.height - this.yOffset * 2) : 256);
+	if (target && options.horizontalMargin == null)
+		this.xOffset = Math.max(0, Math.floor((target.width - this.size) / 2)); // Centered on the canvas
+	if (target && options.verticalMargin == null)
+		this.yOffset = Math.max(0, Math.floor((target.height - this.size) / 2));
 	this.textShiftDown = options.textShiftDown == null ? 0.5 : options.textShiftDown;
+	this.labelFont = options.labelFont || "10px sans-serif";
+	this.labelLayout = options.labelLayout !== false;
+	this.labelFadeDepth = 0.15; // Labels fade out as locations come this close (relative to the radius) to the horizon
 	this.locations = [];
 	this.dotRadius = 3;
-	this.xOffset = options.horizontalMargin || 0;
-	this.yOffset = options.verticalMargin || 0;
+	this.markerShape = options.markerShape || "circle";
+	if (!Globe.markerShapes[this.markerShape])
+		throw "Unknown marker shape: " + this.markerShape;
+	this.markerSizeScale = options.markerSizeScale || null;
+	this.markerRenderer = options.markerRenderer || null;
+	this.pendingIcons = []; // Marker icons still loading, which redraw the globe when they’re ready
+	this.clock = options.clock || Globe.browserClock;
+	this.createCanvas = options.createCanvas || Globe.createCanvas;
+	this.pixelRatioOption = options.pixelRatio || null;
+	this.pixelRatio = options.pixelRatio || (typeof window !== "undefined" && window.devicePixelRatio) || 1; // Device pixels per CSS pixel
 	this.div = typeof options.div === "string" ? document.getElementById(options.div) : options.div;
-	if (!this.div)
+	if (!this.div && !target)
 		throw options.div ? "Element specified for div not found" : "Required div property not specified in options"
-	var totalWidth = this.size + this.xOffset * 2;
-	var totalHeight = this.size + this.yOffset * 2;
-
-	var canvasesText = '<canvas id="cglobBack" width="' + totalWidth + '" height="' + totalHeight + '" style="position: absolute; left: 0; top: 3; z-index: 0;"></canvas>' +
-		'<canvas id="cglobMid" width="' + totalWidth + '" height="' + totalHeight + '" style="position: absolute; left: 0; top: 30; z-index: 1;"></canvas>';
-	if (options.shading !== false)
-		canvasesText += '<canvas id="cglobShading" width="' + totalWidth + '" height="' + totalHeight + '" style="position: absolute; left: 0; top: 30; z-index: 2;"></canvas>';
-	canvasesText += '<canvas id="cglobFore" width="' + totalWidth + '" height="' + totalHeight + '" style="position: absolute; left: 0; top: 30; z-index: 2;"></canvas>';
-	this.div.innerHTML = canvasesText;
-
-	this.canvas = document.getElementById("cglobMid");
-	this.canvas.removeAttribute("id");
+	this.listeners = []; // Event listeners to remove on destroy() (see _listen)
+	this.resizeObserver = null;
+	this.destroyed = false;
+	this.pixelTarget = null; // The ImageData-like object rendered into, when there's no canvas
+	this.displayCanvas = null;
+	this.eventCanvas = null;
+	this.divPosition = null; // The div’s own style.position, put back by destroy() if the globe changed it
 
-	this.canvasUnder = document.getElementById("cglobBack");
-	this.canvasUnder.removeAttribute("id");
-
-	this.canvasOver = document.getElementById("cglobFore");
-	this.canvasOver.removeAttribute("id");
-
-	if (options.shading)
+	if (target && !target.getContext)
+	{// Only the globe image, straight into the pixels
+		this.pixelTarget = target;
+		this.pixelRatio = 1;
+		this.canvas = target; // For its size
+	}
+	else if (target)
+	{// Layers off the page, composited onto the canvas
+		this.displayCanvas = target;
+		this.canvasUnder = this._createCanvas(0, true);
+		this.canvas = this._createCanvas(1, true);
+		if (options.shading)
+			this.canvasShading = this._createCanvas(2, true);
+		this.canvasOver = this._createCanvas(2, true);
+	}
+	else
 	{
-		this.canvasShading = document.getElementById("cglobShading");
-		var globRad = this.size / 2;
-		this._drawShading(this.canvasShading, this.xOffset + globRad, this.yOffset + globRad, globRad);
+		// The canvases are stacked over the underlay, which is the only one taking up space in the div.
+		// They have no IDs, so any number of globes can share a page.
+		// In single canvas mode, the layers are kept off the page and composited onto one canvas after each drawing.
+		this.div.innerHTML = "";
+		var divPosition = window.getComputedStyle ? window.getComputedStyle(this.div).position : this.div.style.position;
+		if (!divPosition || divPosition === "static")
+		{
+			this.divPosition = this.div.style.position;
+			this.div.style.position = "relative";
+		}
+		var layersOffPage = !!options.singleCanvas;
+		this.displayCanvas = layersOffPage ? this._createCanvas(0) : null;
+		this.canvasUnder = this._createCanvas(0, layersOffPage);
+		this.canvas = this._createCanvas(1, layersOffPage);
+		if (options.shading)
+			this.canvasShading = this._createCanvas(2, layersOffPage); // Drawn by _layout()
+		this.canvasOver = this._createCanvas(2, layersOffPage);
+		this.eventCanvas = this.displayCanvas || this.canvasOver; // The topmost canvas on the page
+		if (options.interactive !== false)
+		{
+			this.eventCanvas.setAttribute("tabindex", "0");
+			this.eventCanvas.style.touchAction = "none";
+		}
 	}
 
-	this.g = this.canvas.getContext("2d");
-	this.g.fillStyle = options.locationColor || "#F00";
+	this.g = this.pixelTarget ? null : this.canvas.getContext("2d");
 	this.gOver = this.canvasOver ? this.canvasOver.getContext("2d") : null;
-	if (this.gOver)
-		this.gOver.fillStyle = options.locationColor || "#F00";
 	this.overDirty = false;
 	this.underDirty = false;
 	this.gUnder = this.canvasUnder ? this.canvasUnder.getContext("2d") : null;
-	if (this.gUnder)
-		this.gUnder.fillStyle = options.locationColor || "#F00";
-	this.globePixels = this.g.getImageData(0, 0, this.size, this.size);
+	this._sizeCanvases(options.locationColor || "#F00");
+	this.globePixels = null; // Created by _layout()
 	if (typeof options.image === "string")
 		this.lambertImage = document.getElementById(options.image);
 	else
 		this.lambertImage = options.image;
+	this.projection = options.projection || "lambert";
+	if (!Globe.projections[this.projection])
+		throw "Unknown projection: " + this.projection;
+	this.textureProjection = this.projection; // The projection of the texture in use, which is Lambert for the clip-art fallback
+	this.sourceRowTable = null; // Source image rows for sines of latitudes, built by initialize()
+	this.quality = options.quality || "nearest";
+	if (Globe.qualities.indexOf(this.quality) < 0)
+		throw "Unknown quality: " + this.quality;
 	this.usedImage = null;
+	this.sunlight = !!options.sunlight;
+	this.sunTime = options.time == null ? null : options.time; // null for real time
+	this.sunTimer = 0; // Redraws occasionally in real time mode, as the sun moves
+	this.imageWaitTimer = 0; // Retries drawing while the images load
+	this.nightBrightness = options.nightBrightness == null ? 0.3 : options.nightBrightness;
+	this.nightImage = typeof options.nightImage === "string" ? document.getElementById(options.nightImage) : (options.nightImage || null);
+	this.nightImagePixels = null;
 	this.offsets = null;
 	this.offsetRowsStarts = null;
 	this.offsetRowsLengths = null;
+	this.offsetRowsSources = null;
 	this.lambertImagePixels = null;
 	this.lambertImageWidth = null;
 	this.lambertImageHeight = null;
-	this.degreesRotation = 0;
+	this.degreesRotation = 0; // The longitude facing the viewer
+	this.degreesTilt = Math.max(-90, Math.min(90, options.tilt || 0)); // The latitude facing the viewer
+	this.degreesRoll = options.roll || 0; // Counterclockwise rotation around the viewing axis
+	this.minZoom = options.minZoom || 1;
+	this.maxZoom = options.maxZoom || 8;
+	this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, options.zoom || 1));
+	this.renderLeft = 0; // The part of the canvas covered by globePixels (see calcOffsets)
+	this.renderTop = 0;
+	this.renderWidth = 0;
+	this.renderHeight = 0;
 	var self = this;
 	this.mouseXlast = null;
+	this.mouseYlast = null;
 	this.mouseXlastTimeMs = null;
 	this.mouseXlastLast = null;
+	this.mouseYlastLast = null;
 	this.mouseXlastLastTimeMs = null;
 	this.mouseDown = false;
-	this.interactive = options.interactive !== false;
-	var topCanvas = this.canvasOver || this.canvas;
-	Globe.addEvent(topCanvas, "mousedown", function(e) {self._handleMousedown(e);});
-	Globe.addEvent(topCanvas, "mousemove", function(e) {self._handleMousemove(e);});
-	Globe.addEvent(document, "mouseup", function(e) {self._handleMouseup(e);});
+	this.pointers = {}; // Positions of the pointers currently down, by pointer ID, for pinch zooming
+	this.pinchDistance = null;
+	this.pinchZoom = null;
+	this.mouseDownClientX = null; // Where the mouse went down, to tell clicks from drags
+	this.mouseDownClientY = null;
+	this.hoverLocation = null; // The location under the mouse
+	this.hitTolerance = 4; // Pixels beyond a location dot that still count as hitting it
+	this.drawnLocations = []; // The foreground locations as last drawn, for hit testing
+	this.drawnClusters = []; // The cluster bubbles as last drawn, for hit testing
+	this.eventHandlers = {}; // Arrays of callbacks by event name (see on())
+	this.tooltip = options.tooltip || false;
+	this.tooltipElement = null;
+	this.interactive = options.interactive !== false && !!this.div;
+	this.keyDegrees = options.keyDegrees || 10; // How far each arrow key press turns the globe
+	var topCanvas = this.eventCanvas;
+	if (topCanvas && window.PointerEvent)
+	{// Pointer events cover mouse, touch and pen alike
+		this._listen(topCanvas, "pointerdown", function(e) {self._handlePointerdown(e);});
+		this._listen(topCanvas, "pointermove", function(e) {self._handlePointermove(e);});
+		this._listen(topCanvas, "pointerup", function(e) {self._handlePointerup(e);});
+		this._listen(topCanvas, "pointercancel", function(e) {self._handlePointerup(e);});
+		this._listen(topCanvas, "lostpointercapture", function(e) {self._handlePointerup(e);});
+		this._listen(topCanvas, "pointerleave", function(e) {self._handleMouseleave(e);});
+	}
+	else if (topCanvas)
+	{
+		this._listen(topCanvas, "mousedown", function(e) {self._handleMousedown(e);});
+		this._listen(topCanvas, "mousemove", function(e) {self._handleMousemove(e);});
+		this._listen(document, "mouseup", function(e) {self._handleMouseup(e);});
+		this._listen(topCanvas, "mouseout", function(e) {self._handleMouseleave(e);});
+	}
+	if (topCanvas)
+	{
+		this._listen(topCanvas, "keydown", function(e) {self._handleKeydown(e);});
+		this._listen(topCanvas, "wheel", function(e) {self._handleWheel(e);});
+	}
+	if (options.responsive && this.div && window.ResizeObserver)
+	{// Follow the width of the div
+		this.resizeObserver = new ResizeObserver(function(entries) {self._handleDivResize(entries[0].contentRect);});
+		this.resizeObserver.observe(this.div);
+	}
 	
 	this.spinDegreesPerSecond = 0;
 	this.spinDegreesFrictionPerSecond = 0;
 	this.animFrameRequest = 0;
 	this.spinLastFrameUtcMs = null;
+	this.lastDrawUtcMs = null; // The time of the last drawing, which snapshots draw again
+	this.drawingSnapshot = false; // True while getSnapshotCanvas() draws at another resolution, which mustn’t change anything
+	this.drawnPlaybackTime = null; // The playback time of the last drawing
 	this.locations = []; // Labeled locations (LatLong objects)
 	this.dotColor = options.locationColor || "#F00";
 
 	this.expireLocCount = 0; // The number of LatLong objects that will expire
+	this.routes = []; // Great-circle paths (Route objects)
+	this.regions = []; // Filled areas (Region objects)
+	this.circles = []; // Geodesic circles and range rings (Circle objects)
+	this.regionColorScale = options.regionColorScale || null;
+	this.drawnRegions = []; // The regions as last drawn, with their outlines, for hit testing
+	this.hoverRegion = null; // The region under the mouse
+	this.viewMatrix = null; // Cached by _viewMatrix()
+	this.viewMatrixKey = null;
+	this.clustering = null; // Cluster options (see setClustering)
+	this.locationIndex = null; // Spatial index of the locations for clustering, built by _getLocationIndex()
+	if (options.cluster)
+		this.setClustering(options.cluster);
+	this.graticule = null; // Latitude and longitude lines (see setGraticule)
+	if (options.graticule)
+		this.graticule = Globe.makeGraticule(options.graticule === true ? {} : options.graticule);
+	this.heatmap = options.heatmap ? (options.heatmap instanceof Heatmap ? options.heatmap : new Heatmap(options.heatmap)) : null; // See setHeatmap
+	this.heatmapGeometry = null; // Cached by _getHeatmapGeometry()
+	this.heatmapGeometryKey = null;
+	this.routesAnimating = false; // True if the last drawing had expiring routes or traveling dashes
+	this.locationsAnimating = false; // True if the last drawing had locations fading in or out
+	this.locationsChangeUtcMs = null; // When the next location in the last drawing starts fading in or out, or null if none will
+	this.locationTimer = 0; // Redraws at locationsChangeUtcMs
 	this.spinSetCallback = null; // An optional callback triggered by a Spin call or spin finish
+	this.flight = null; // The flyTo() or lookAt() in progress
+	this.tour = null; // The tour in progress (see startTour)
+	this.playback = null; // Time-series playback of the locations (see startPlayback)
+	this.playbackItems = null; // The locations with start times, sorted by them, built by _getPlaybackItems()
+	this.highlightLocation = null; // The location ringed by a tour
 
 	this.draw();
 }
 
+/**
+ * The default clock, with the time from Date and animation frames from requestAnimationFrame.
+ * A clock supplies the time and schedules drawing for a globe (see options.clock).
+ */
+Globe.browserClock = {
+	now: function() { return (new Date()).getTime(); },
+	requestFrame: function(callback) { return requestAnimationFrame(callback); },
+	cancelFrame: function(id) { cancelAnimationFrame(id); },
+	setTimer: function(callback, ms) { return setTimeout(callback, ms); },
+	clearTimer: function(id) { clearTimeout(id); }
+};
+
+/**
+ * Constructs a clock that only moves when told to, for rendering frame by frame without a browser or for tests.
+ * Pass it as options.clock, then call advance() to step the time and draw any frames the globe asked for.
+ *
+ * @param {number} [startUtcMs=0] - The starting time, as milliseconds like (new Date()).getTime()
+ * @constructor
+ */
+Globe.ManualClock = function(startUtcMs)
+{
+	"use strict";
+	this.time = startUtcMs || 0;
+	this.frames = []; // Waiting frame callbacks, each {id, callback}
+	this.timers = []; // Waiting timers, each {id, callback, due}
+	this.lastId = 0;
+};
+
+Globe.ManualClock.prototype.now = function()
+{
+	return this.time;
+};
+
+Globe.ManualClock.prototype.requestFrame = function(callback)
+{
+	this.frames.push({id: ++this.lastId, callback: callback});
+	return this.lastId;
+};
+
+Globe.ManualClock.prototype.cancelFrame = function(id)
+{
+	this.frames = this.frames.filter(function(frame) { return frame.id !== id; });
+};
+
+Globe.ManualClock.prototype.setTimer = function(callback, ms)
+{
+	this.timers.push({id: ++this.lastId, callback: callback, due: this.time + ms});
+	return this.lastId;
+};
+
+Globe.ManualClock.prototype.clearTimer = function(id)
+{
+	this.timers = this.timers.filter(function(timer) { return timer.id !== id; });
+};
+
+/**
+ * Moves the time forward, running any timers that come due (in order), and then one animation frame.
+ * Frames requested while drawing wait for the next call.
+ *
+ * @param {number} ms - How many milliseconds to move forward
+ */
+Globe.ManualClock.prototype.advance = function(ms)
+{
+	"use strict";
+	var end = this.time + ms;
+	for (;;)
+	{
+		var next = null;
+		for (var i = 0; i < this.timers.length; ++i)
+		{
+			if (this.timers[i].due <= end && (!next || this.timers[i].due < next.due))
+				next = this.timers[i];
+		}
+		if (!next)
+			break;
+		this.timers.splice(this.timers.indexOf(next), 1);
+		this.time = Math.max(this.time, next.due);
+		next.callback();
+	}
+	this.time = end;
+	var frames = this.frames;
+	this.frames = [];
+	for (i = 0; i < frames.length; ++i)
+		frames[i].callback(this.time);
+};
+
 /**
  * Adds an event handler using either attachEvent or addEventListener.
  */
@@ -117,22 +372,287 @@ Globe.addEvent = function(elem, eventName, callback)
 		elem.addEventListener(eventName, callback, false);
 };
 
+/**
+ * Removes an event handler added with addEvent.
+ */
+Globe.removeEvent = function(elem, eventName, callback)
+{
+	if (elem.detachEvent)
+		elem.detachEvent("on" + eventName, callback);
+	else
+		elem.removeEventListener(eventName, callback, false);
+};
+
+/**
+ * Adds an event handler that destroy() will remove.
+ */
+Globe.prototype._listen = function(elem, eventName, callback)
+{
+	"use strict";
+	Globe.addEvent(elem, eventName, callback);
+	this.listeners.push({elem: elem, eventName: eventName, callback: callback});
+};
+
+/**
+ * Creates one of the globe's stacked canvases in the div. The underlay (z-index 0) stays in the flow of the page,
+ * giving the div its size, and the others are positioned over it.
+ *
+ * @param {number} zIndex - The stacking order
+ * @param {boolean} [offPage] - True to leave the canvas out of the page, for single canvas mode
+ * @return {HTMLCanvasElement}
+ */
+Globe.prototype._createCanvas = function(zIndex, offPage)
+{
+	"use strict";
+	if (offPage)
+		return this.createCanvas(1, 1); // Sized by _sizeCanvases()
+	var canvas = document.createElement("canvas");
+	canvas.style.position = zIndex ? "absolute" : "relative";
+	canvas.style.display = "block";
+	canvas.style.left = "0";
+	canvas.style.top = "0";
+	canvas.style.zIndex = String(zIndex);
+	this.div.appendChild(canvas);
+	return canvas;
+};
+
+/**
+ * Sizes the canvases for the diameter, margins and pixel ratio. The canvases have pixelRatio pixels per CSS pixel,
+ * and the overlay contexts are scaled so they're drawn on in CSS pixels. Only the globe canvas is left unscaled,
+ * since ImageData is always in canvas pixels.
+ * Resizing a canvas resets its context, so the fill color is set again.
+ *
+ * @param {string} color - The fill color for the contexts
+ */
+Globe.prototype._sizeCanvases = function(color)
+{
+	"use strict";
+	var ratio = this.pixelRatio;
+	var totalWidth = this.size + this.xOffset * 2;
+	var totalHeight = this.size + this.yOffset * 2;
+	var canvases = [this.drawingSnapshot ? null : this.displayCanvas, this.canvasUnder, this.canvas, this.canvasShading, this.canvasOver];
+	for (var i = 0; i < canvases.length; ++i)
+	{
+		if (canvases[i] && canvases[i].getContext)
+		{
+			canvases[i].width = Math.round(totalWidth * ratio);
+			canvases[i].height = Math.round(totalHeight * ratio);
+			if (canvases[i].style)
+			{
+				canvases[i].style.width = totalWidth + "px";
+				canvases[i].style.height = totalHeight + "px";
+			}
+		}
+	}
+	var contexts = [this.gUnder, this.g, this.gOver, this.canvasShading ? this.canvasShading.getContext("2d") : null];
+	for (i = 0; i < contexts.length; ++i)
+	{
+		if (contexts[i])
+		{
+			contexts[i].fillStyle = color;
+			if (contexts[i] !== this.g)
+				contexts[i].setTransform(ratio, 0, 0, ratio, 0, 0);
+		}
+	}
+};
+
+/**
+ * Draws the layers of the globe, from the underlay to the overlay, onto a context the size of the globe's canvases.
+ *
+ * @param {CanvasRenderingContext2D} g - The context to draw on
+ */
+Globe.prototype._composite = function(g)
+{
+	"use strict";
+	var width = g.canvas.width;
+	var height = g.canvas.height;
+	g.clearRect(0, 0, width, height);
+	var layers = [this.canvasUnder, this.canvas, this.canvasShading, this.canvasOver];
+	for (var i = 0; i < layers.length; ++i)
+	{
+		if (layers[i])
+			g.drawImage(layers[i], 0, 0, width, height);
+	}
+};
+
+/**
+ * Returns a new canvas with a single image of the globe as it’s currently shown, from the underlay to the overlay.
+ * A pixel ratio other than the globe’s own draws the globe again at that resolution, as it was at the last drawing:
+ * nothing moves, expires or plays on, and the display canvas is left alone.
+ *
+ * @param {number} [pixelRatio] - The number of image pixels per CSS pixel (by default, the same as on the screen)
+ * @return {HTMLCanvasElement}
+ */
+Globe.prototype.getSnapshotCanvas = function(pixelRatio)
+{
+	"use strict";
+	if (this.offsets === null)
+		throw "The globe hasn’t been drawn yet";
+	if (this.pixelTarget)
+		throw "Snapshots need a canvas";
+	var screenRatio = this.pixelRatio;
+	var rerender = pixelRatio && pixelRatio !== screenRatio;
+	this.drawingSnapshot = rerender;
+	try
+	{
+		if (rerender)
+			this._setPixelRatio(pixelRatio);
+		var snapshot = this.createCanvas(this.canvas.width, this.canvas.height);
+		this._composite(snapshot.getContext("2d"));
+		if (rerender)
+			this._setPixelRatio(screenRatio); // Nothing is shown on the screen until this returns, so it never sees the other resolution
+	}
+	finally
+	{
+		this.drawingSnapshot = false;
+	}
+	return snapshot;
+};
+
+/**
+ * Returns a data URL of an image of the globe as it’s currently shown (see getSnapshotCanvas).
+ *
+ * @param {object} [options] - Snapshot options
+ *      @param {string} [options.type="image/png"] - The image format
+ *      @param {number} [options.quality] - The quality (0 to 1) for lossy formats such as "image/jpeg"
+ *      @param {number} [options.pixelRatio] - The number of image pixels per CSS pixel (by default, the same as on the screen)
+ * @return {string}
+ */
+Globe.prototype.toDataURL = function(options)
+{
+	"use strict";
+	options = options || {};
+	return this.getSnapshotCanvas(options.pixelRatio).toDataURL(options.type || "image/png", options.quality);
+};
+
+/**
+ * Creates a Blob with an image of the globe as it’s currently shown (see getSnapshotCanvas).
+ *
+ * @param {function} callback - Called with the Blob (or null if the image couldn’t be created)
+ * @param {object} [options] - Snapshot options, as for toDataURL()
+ */
+Globe.prototype.toBlob = function(callback, options)
+{
+	"use strict";
+	options = options || {};
+	this.getSnapshotCanvas(options.pixelRatio).toBlob(callback, options.type || "image/png", options.quality);
+};
+
+/**
+ * Changes the pixel ratio and draws everything again at the new resolution.
+ */
+Globe.prototype._setPixelRatio = function(pixelRatio)
+{
+	"use strict";
+	this.pixelRatio = pixelRatio;
+	this._sizeCanvases(this.dotColor);
+	this.overDirty = false;
+	this.underDirty = false;
+	if (this.offsets !== null)
+		this._layout();
+	this.draw();
+};
+
+/**
+ * Changes the diameter of the globe, and optionally the margins around it, resizing the canvases and recalculating the offsets.
+ * Without options.pixelRatio, this also picks up any change in window.devicePixelRatio.
+ *
+ * @param {number} diameter - The new diameter in pixels
+ * @param {object} [margins] - New margins (the current margins are kept if omitted)
+ *      @param {number} [margins.horizontalMargin] - The space to the left and right of the globe in pixels
+ *      @param {number} [margins.verticalMargin] - The space above and below the globe in pixels
+ */
+Globe.prototype.resize = function(diameter, margins)
+{
+	"use strict";
+	if (!(diameter > 0))
+		throw "The diameter must be a positive number";
+	margins = margins || {};
+	this.size = Math.round(diameter);
+	if (margins.horizontalMargin != null)
+		this.xOffset = margins.horizontalMargin;
+	if (margins.verticalMargin != null)
+		this.yOffset = margins.verticalMargin;
+	this._setPixelRatio(this.pixelTarget ? 1 : this.pixelRatioOption || (typeof window !== "undefined" && window.devicePixelRatio) || 1); // It changes when the window moves to another screen
+};
+
+/**
+ * Resizes the globe to fit the width of its div, for options.responsive.
+ */
+Globe.prototype._handleDivResize = function(rect)
+{
+	"use strict";
+	var diameter = Math.floor(rect.width) - this.xOffset * 2;
+	if (diameter > 0 && diameter !== this.size)
+		this.resize(diameter);
+};
+
+/**
+ * Stops all animation, removes all event listeners and empties the div, putting back its position style.
+ * The globe can’t be used afterwards.
+ */
+Globe.prototype.destroy = function()
+{
+	"use strict";
+	if (this.destroyed)
+		return;
+	this.destroyed = true;
+	this.stopTour();
+	this.cancelFlight();
+	this.playback = null;
+	if (this.animFrameRequest)
+		this.clock.cancelFrame(this.animFrameRequest);
+	this.animFrameRequest = 0;
+	if (this.sunTimer)
+		this.clock.clearTimer(this.sunTimer);
+	this.sunTimer = 0;
+	if (this.imageWaitTimer)
+		this.clock.clearTimer(this.imageWaitTimer);
+	this.imageWaitTimer = 0;
+	if (this.locationTimer)
+		this.clock.clearTimer(this.locationTimer);
+	this.locationTimer = 0;
+	this.spinDegreesPerSecond = 0;
+	if (this.resizeObserver)
+		this.resizeObserver.disconnect();
+	this.resizeObserver = null;
+	for (var i = 0; i < this.listeners.length; ++i)
+		Globe.removeEvent(this.listeners[i].elem, this.listeners[i].eventName, this.listeners[i].callback);
+	this.listeners = [];
+	if (this.tooltipElement && this.tooltipElement.parentNode)
+		this.tooltipElement.parentNode.removeChild(this.tooltipElement);
+	this.tooltipElement = null;
+	this.eventHandlers = {};
+	if (this.div)
+		this.div.innerHTML = "";
+	if (this.divPosition !== null)
+		this.div.style.position = this.divPosition;
+	this.divPosition = null;
+};
+
 /**
  * Draws simple shading for a globe overlay
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on
+ * @param {number} centerX - The horizontal center of the globe
+ * @param {number} centerY - The vertical center of the globe
+ * @param {number} radius - The radius of the globe
+ * @param {{x:number, y:number}|null} [spot] - Where to put the highlight. The upper left if omitted, or none if null.
  */
-Globe.prototype._drawShading = function(canvas, centerX, centerY, radius)
+Globe.prototype._drawShading = function(canvas, centerX, centerY, radius, spot)
 {
 	if (canvas)
 	{
 		var g = canvas.getContext("2d");
-		var spotX = centerX - radius*0.6;
-		var spotY = centerY - radius*0.4;
+		var spotX = spot ? spot.x : centerX - radius*0.6;
+		var spotY = spot ? spot.y : centerY - radius*0.4;
 		var grad = g.createRadialGradient(spotX, spotY, 1, spotX, spotY, radius * 1.8);
-		grad.addColorStop(0, "rgba(255,255,255,0.12)");
+		grad.addColorStop(0, spot === null ? "rgba(255,255,255,0)" : "rgba(255,255,255,0.12)");
 		grad.addColorStop(0.5, "rgba(255,255,255,0)");
 		grad.addColorStop(0.7, "rgba(0,0,0,0)");
 		grad.addColorStop(1, "rgba(0,0,0,0.6)");
 		g.fillStyle = grad;
+		g.beginPath();
 		g.arc(centerX, centerY, radius, Math.PI*2, false);
 		g.fill();
 
@@ -155,7 +675,8 @@ Globe.prototype.addLocation = function(latitudeOrLatLong, longitude, description
 	var latLong = longitude == null ? latitudeOrLatLong : new LatLong(latitudeOrLatLong, longitude, description, color, expiry);
 	
 	this.locations.push(latLong);
-	if (latLong.expiration)
+	this._locationsChanged();
+	if (Globe.isTimed(latLong))
 		this.expireLocCount++;
 	if (!this.spinDegreesPerSecond)
 		this.draw();
@@ -173,7 +694,7 @@ Globe.prototype.addLocations = function(latLongs)
 	var addExpires = 0;
 	for (var i = 0, len = latLongs.length; i < len; ++i)
 	{
-		if (latLongs[i].expiration)
+		if (Globe.isTimed(latLongs[i]))
 			++addExpires;
 	}
 	if (this.locations.length)
@@ -186,6 +707,7 @@ Globe.prototype.addLocations = function(latLongs)
 		this.locations = latLongs.slice();
 		this.expireLocCount = addExpires;
 	}
+	this._locationsChanged();
 	this.draw();
 };
 
@@ -210,7 +732,8 @@ Globe.prototype.removeLocation = function(latLong)
 	if (index > -1)
 	{
 		this.locations.splice(index, 1);
-		if (latLong.expiration)
+		this._locationsChanged();
+		if (Globe.isTimed(latLong))
 			this.expireLocCount--;
 	}
 	this.draw();
@@ -222,643 +745,4347 @@ Globe.prototype.removeLocation = function(latLong)
 Globe.prototype.clearLocations = function()
 {
 	this.locations.splice(0, this.locations.length);
+	this._locationsChanged();
 	this.expireLocCount = 0;
 	this.draw();
 };
 
 /**
- * Converts a latitude/longitude to pixel coordinates for the drawn globe.
+ * Returns whether a location comes or goes at some time, with a start or expiration time.
  *
- * @param latitudeOrLatLong The latitude degrees as a number, or a LatLong object
- * @param longitudeOrNothing The longitude degrees as a number (ignored if the first parameter is not a number)
- * @return Object with .x and .y pixel coordinates, and .foreground true or false
+ * @param {LatLong} latLong - The location
+ * @return {boolean}
  */
-Globe.prototype.getXYCoordinates = function(latitudeOrLatLong, longitudeOrNothing)
+Globe.isTimed = function(latLong)
 {
-	// Fix parameters
-	var latitude;
-	var longitude;
-	if (typeof latitudeOrLatLong === "number")
-	{
-		latitude = latitudeOrLatLong;
-		longitude = longitudeOrNothing;
-	}
-	else
-	{
-		latitude = latitudeOrLatLong.latitude;
-		longitude = latitudeOrLatLong.longitude;
-	}
-	latitude = Globe.mod(latitude, 360);
-	if (latitude > 180)
-		latitude -= 360;
-
-	longitude = Globe.mod(longitude - this.degreesRotation, 360);
-	if (longitude > 180)
-		longitude -= 360;
-
-	var radius = this.size / 2;
-
-	// y
-	var yrad = (latitude / 180) * Math.PI;
-	var yCoord = (-Math.sin(yrad)) * radius + radius + this.yOffset;
-
-	// x
-	var xrad = (longitude / 180) * Math.PI;
-	var xmult = Math.abs(Math.cos(yrad));
-	var xRel = Math.sin(xrad);
-	var xCoord = xRel * xmult * radius + radius + this.xOffset;
-
+	"use strict";
+	return !!latLong.expiration || latLong.start != null;
+};
 
-	var isForeground = longitude >= -90 && longitude <= 90;
+/**
+ * Forgets everything worked out from the list of locations, after it changes.
+ */
+Globe.prototype._locationsChanged = function()
+{
+	"use strict";
+	this.locationIndex = null;
+	this.playbackItems = null;
+};
 
-	return {x:xCoord, y:yCoord, foreground:isForeground, xRel:xRel, latitude:latitude, longitude:longitude};
+/**
+ * Adds a great-circle arc between two locations.
+ *
+ * @param {LatLong} fromLatLong - The start of the arc
+ * @param {LatLong} toLatLong - The end of the arc
+ * @param {object} [style] - Line options (see the Route constructor)
+ * @return {Route}
+ */
+Globe.prototype.addArc = function(fromLatLong, toLatLong, style)
+{
+	"use strict";
+	return this.addRoute([fromLatLong, toLatLong], style);
 };
 
 /**
- * Converts pixel coordinates to a LatLong object (with .latitude and .longitude properties).
+ * Adds a route that follows great circles through the given locations, or adds an existing Route object.
  *
- * @param {number} canvasX - The horizontal pixel coordinate, relative to the drawing canvas.
- * @param {number} canvasY - The vertical pixel coordinate, relative to the drawing canvas.
- * @param {string} [description] - An optional description to apply to any returned LatLong object
- * @return {LatLong}
+ * @param {LatLong[]|Route} latLongsOrRoute - The locations to connect in order, or a Route
+ * @param {object} [style] - Line options (see the Route constructor), ignored if a Route is passed
+ * @return {Route}
  */
-Globe.prototype.getLatLong =function(canvasX, canvasY, description)
+Globe.prototype.addRoute = function(latLongsOrRoute, style)
 {
 	"use strict";
-	// latitude
-	var y = 1 - (canvasY - this.yOffset) / (this.size / 2); // 1 to -1 (1 at north pole)
-	if (y < -1 || y > 1)
-		return null; // Not on globe
-	var latitude = (Math.asin(y) / Math.PI) * 180;
-	if (isNaN(latitude))
-		return null; // Not on globe
-	// calc longitude (as if globe were positioned with prime meridian facing the screen)
-	var x = (canvasX - this.xOffset) / (this.size / 2) - 1; // -1 to 1 (1 to east)
-	if (x < -1 || x > 1)
-		return null; // Not on globe
-	var xRelSize = Math.sqrt(1 - y * y);
-	if (xRelSize <= 0 || xRelSize > 1)
-		return null; // Not on globe
-	x /= xRelSize;
-	if (x < -1 || x > 1)
-		return null; // Not on globe
-	var longitude = (Math.asin(x) / Math.PI) * 180;
-	// Now adjust longitude for globe rotation
-	longitude += this.degreesRotation;
-	longitude = Globe.mod(longitude, 360); // 0 to 360 range
-	if (longitude > 180)
-		longitude -= 360;
-	if (isNaN(longitude))
-		return null; // Not on globe
-	return new LatLong(latitude, longitude, description);
+	var route = latLongsOrRoute instanceof Route ? latLongsOrRoute : new Route(latLongsOrRoute, style);
+	this.routes.push(route);
+	if (!this.spinDegreesPerSecond)
+		this.draw();
+	return route;
 };
 
 /**
- * Returns whether or not the globe is spinning.
- * 
- * @return {boolean}
+ * Removes a single Route (or arc) from the globe
  */
-Globe.prototype.isSpinning = function()
+Globe.prototype.removeRoute = function(route)
 {
-	return !!this.spinDegreesPerSecond;
+	"use strict";
+	var index = this.routes.indexOf(route);
+	if (index > -1)
+		this.routes.splice(index, 1);
+	this.draw();
 };
 
 /**
- * Immediately stops any globe spinning.
+ * Removes all routes and arcs from the globe
  */
-Globe.prototype.stop = function()
+Globe.prototype.clearRoutes = function()
 {
-	this.spin();
-}
+	"use strict";
+	this.routes.splice(0, this.routes.length);
+	this.draw();
+};
 
 /**
- * Starts the globe spinning. The globe will continue to spin until stopped by the user or by friction.
+ * Adds a filled region to the globe, either as a Region object, or as rings of locations with a style.
  *
- * @param {number} [degreesPerSecond=0] - Positive rotates right (west to east), as the Earth spins in space. Real-time rotation would be 360/(60*60*24).
- * @param {number} [frictionDegreesPerSecond=0] - How much the speed slows per second. Sign (+/-) does not matter.
+ * @param {Region|LatLong[]|LatLong[][]|LatLong[][][]} ringsOrRegion - A Region, or the rings of one (see the Region constructor)
+ * @param {object} [style] - Fill and outline options (see the Region constructor), ignored if a Region is passed
+ * @return {Region}
  */
-Globe.prototype.spin = function(degreesPerSecond, frictionDegreesPerSecond)
+Globe.prototype.addRegion = function(ringsOrRegion, style)
 {
 	"use strict";
+	var region = ringsOrRegion instanceof Region ? ringsOrRegion : new Region(ringsOrRegion, style);
+	this.regions.push(region);
+	if (!this.spinDegreesPerSecond)
+		this.draw();
+	return region;
+};
 
-	degreesPerSecond = degreesPerSecond ? -degreesPerSecond : 0;
-	this.spinDegreesPerSecond = degreesPerSecond;
-	if (frictionDegreesPerSecond)
+/**
+ * Removes a single Region from the globe
+ */
+Globe.prototype.removeRegion = function(region)
+{
+	"use strict";
+	var index = this.regions.indexOf(region);
+	if (index > -1)
+		this.regions.splice(index, 1);
+	this.draw();
+};
+
+/**
+ * Removes all regions from the globe
+ */
+Globe.prototype.clearRegions = function()
+{
+	"use strict";
+	this.regions.splice(0, this.regions.length);
+	this.draw();
+};
+
+/**
+ * Adds a circle of a given distance around a location, as a Circle object or as a center, radius and style.
+ *
+ * @param {Circle|LatLong} centerOrCircle - A Circle, or the location at its center
+ * @param {number|number[]} [radius] - The distance to the edge, or the distances to each ring (see the Circle constructor)
+ * @param {object} [style] - Units, ring, fill and outline options (see the Circle constructor), ignored if a Circle is passed
+ * @return {Circle}
+ */
+Globe.prototype.addCircle = function(centerOrCircle, radius, style)
+{
+	"use strict";
+	var circle = centerOrCircle instanceof Circle ? centerOrCircle : new Circle(centerOrCircle, radius, style);
+	this.circles.push(circle);
+	if (!this.spinDegreesPerSecond)
+		this.draw();
+	return circle;
+};
+
+/**
+ * Removes a single Circle from the globe
+ */
+Globe.prototype.removeCircle = function(circle)
+{
+	"use strict";
+	var index = this.circles.indexOf(circle);
+	if (index > -1)
+		this.circles.splice(index, 1);
+	this.draw();
+};
+
+/**
+ * Removes all circles from the globe
+ */
+Globe.prototype.clearCircles = function()
+{
+	"use strict";
+	this.circles.splice(0, this.circles.length);
+	this.draw();
+};
+
+/**
+ * Sets the function that converts region values to fill colors, for regions with a value and no fill of their own.
+ *
+ * @param {function} [colorScale] - Takes a region value and returns a CSS color. See Globe.colorScale() for a ready-made scale.
+ */
+Globe.prototype.setRegionColorScale = function(colorScale)
+{
+	"use strict";
+	this.regionColorScale = colorScale || null;
+	this.draw();
+};
+
+/**
+ * Returns a color scale function that maps values from min to max linearly onto a series of colors.
+ * Values outside the range get the first or last color.
+ *
+ * @param {number} min - The value for the first color
+ * @param {number} max - The value for the last color
+ * @param {string[]} [colors=["#ffffcc", "#fd8d3c", "#800026"]] - Hex CSS colors (#rgb or #rrggbb), evenly spaced from min to max
+ * @param {number} [alpha=0.6] - The opacity of the returned colors
+ * @return {function} A function that takes a value and returns an rgba() CSS color
+ */
+Globe.colorScale = function(min, max, colors, alpha)
+{
+	"use strict";
+	colors = colors || ["#ffffcc", "#fd8d3c", "#800026"];
+	alpha = alpha == null ? 0.6 : alpha;
+	var rgbs = colors.map(function(color) {
+		var parts = /\((\d+),(\d+),(\d+),/.exec(Globe.colorWithAlpha(color, 1));
+		if (!parts)
+			throw "Color scale colors must be hex colors: " + color;
+		return [+parts[1], +parts[2], +parts[3]];
+	});
+	return function(value)
 	{
-		if (Globe.differentSign(frictionDegreesPerSecond, degreesPerSecond))
-			frictionDegreesPerSecond = -frictionDegreesPerSecond;
-		this.spinDegreesFrictionPerSecond = frictionDegreesPerSecond;
-	}
+		var position = max > min ? (value - min) / (max - min) : 0;
+		position = Math.max(0, Math.min(1, position || 0)) * (rgbs.length - 1);
+		var index = Math.min(rgbs.length - 2, Math.floor(position));
+		var fraction = rgbs.length > 1 ? position - index : 0;
+		var from = rgbs[Math.max(0, index)];
+		var to = rgbs[Math.min(rgbs.length - 1, index + 1)];
+		return "rgba(" + Math.round(from[0] + (to[0] - from[0]) * fraction) + "," +
+			Math.round(from[1] + (to[1] - from[1]) * fraction) + "," +
+			Math.round(from[2] + (to[2] - from[2]) * fraction) + "," + alpha + ")";
+	};
+};
+
+/**
+ * Sets the function that converts location values to marker radii, for locations with a value and no radius of their own.
+ *
+ * @param {function} [sizeScale] - Takes a location value and returns a radius in pixels. See Globe.sizeScale() for a ready-made scale.
+ */
+Globe.prototype.setMarkerSizeScale = function(sizeScale)
+{
+	"use strict";
+	this.markerSizeScale = sizeScale || null;
+	this.draw();
+};
+
+/**
+ * Sets a function that draws the location markers without a renderer of their own, instead of the built-in shapes.
+ * It’s called with the context to draw on (the overlay for the near side of the globe, the underlay for the far side),
+ * and an object with .x, .y, .radius, .color, .location and .foreground. It can return the circle it drew in,
+ * as {x, y, radius}, for hit testing and label placement.
+ *
+ * @param {function} [renderer] - The drawing function, or nothing for the built-in shapes
+ */
+Globe.prototype.setMarkerRenderer = function(renderer)
+{
+	"use strict";
+	this.markerRenderer = renderer || null;
+	this.draw();
+};
+
+/**
+ * Returns a size scale function that maps values from min to max onto marker radii, so the marker areas grow in
+ * proportion to the values. Values outside the range get the smallest or largest radius.
+ *
+ * @param {number} min - The value for the smallest radius
+ * @param {number} max - The value for the largest radius
+ * @param {number} [minRadius=2] - The smallest radius in pixels
+ * @param {number} [maxRadius=12] - The largest radius in pixels
+ * @return {function} A function that takes a value and returns a radius
+ */
+Globe.sizeScale = function(min, max, minRadius, maxRadius)
+{
+	"use strict";
+	minRadius = minRadius == null ? 2 : minRadius;
+	maxRadius = maxRadius == null ? 12 : maxRadius;
+	return function(value)
+	{
+		var position = max > min ? (value - min) / (max - min) : 0;
+		position = Math.max(0, Math.min(1, position || 0));
+		var area = minRadius * minRadius + (maxRadius * maxRadius - minRadius * minRadius) * position;
+		return Math.sqrt(area);
+	};
+};
+
+/**
+ * Adds the features of a GeoJSON object to the globe:
+ * • Point and MultiPoint geometries become locations, with the feature properties as their details
+ * • LineString and MultiLineString geometries become routes along great circles
+ * • Polygon and MultiPolygon geometries become regions
+ *
+ * Without a style function, features are styled from their properties, following the common simplestyle names:
+ * "title" or "name" for descriptions, "marker-color" for locations, "stroke" and "stroke-width" for routes and outlines,
+ * and "fill" and "fill-opacity" for regions.
+ *
+ * @param {object|string} obj - A GeoJSON FeatureCollection, Feature or geometry, or its JSON text
+ * @param {function} [styleFn] - Called with each feature, returning style options for it (see the LatLong, Route and
+ *      Region constructors, plus .description and .color for locations), or false to skip the feature.
+ * @return {{locations:LatLong[], routes:Route[], regions:Region[]}} Everything added
+ */
+Globe.prototype.loadGeoJSON = function(obj, styleFn)
+{
+	"use strict";
+	if (typeof obj === "string")
+		obj = JSON.parse(obj);
+	var added = {locations: [], routes: [], regions: []};
+	var features = [];
+	if (obj.type === "FeatureCollection")
+		features = obj.features || [];
+	else if (obj.type === "Feature")
+		features = [obj];
 	else
+		features = [{type: "Feature", geometry: obj, properties: {}}];
+
+	for (var i = 0; i < features.length; ++i)
 	{
-		this.spinDegreesFrictionPerSecond = 0;
+		var feature = features[i];
+		var style = styleFn ? styleFn(feature) : Globe.geoJsonStyle(feature);
+		if (style !== false && feature.geometry)
+			this._addGeoJsonGeometry(feature.geometry, feature.properties || {}, style || {}, added);
+	}
+
+	this.routes = this.routes.concat(added.routes);
+	this.regions = this.regions.concat(added.regions);
+	this.addLocations(added.locations); // Draws
+	return added;
+};
+
+/**
+ * Adds a single GeoJSON geometry for loadGeoJSON()
+ */
+Globe.prototype._addGeoJsonGeometry = function(geometry, properties, style, added)
+{
+	"use strict";
+	var coords = geometry.coordinates;
+	var toLatLong = function(position) { return new LatLong(position[1], position[0]); };
+	var toRing = function(positions) { return positions.map(toLatLong); };
+	var i;
+	switch (geometry.type)
+	{
+		case "Point":
+			var latLong = new LatLong(coords[1], coords[0], style.description, style.color, style.expiration);
+			latLong.details = properties;
+			added.locations.push(latLong);
+			break;
+		case "MultiPoint":
+			for (i = 0; i < coords.length; ++i)
+				this._addGeoJsonGeometry({type: "Point", coordinates: coords[i]}, properties, style, added);
+			break;
+		case "LineString":
+			if (coords.length > 1)
+			{
+				var route = new Route(toRing(coords), style);
+				route.details = properties;
+				added.routes.push(route);
+			}
+			break;
+		case "MultiLineString":
+			for (i = 0; i < coords.length; ++i)
+				this._addGeoJsonGeometry({type: "LineString", coordinates: coords[i]}, properties, style, added);
+			break;
+		case "Polygon":
+		case "MultiPolygon":
+			var polygons = geometry.type === "Polygon" ? [coords] : coords;
+			var rings = polygons.map(function(polygon) { return polygon.map(toRing); });
+			var region = new Region(rings, style);
+			region.details = properties;
+			added.regions.push(region);
+			break;
+		case "GeometryCollection":
+			for (i = 0; i < geometry.geometries.length; ++i)
+				this._addGeoJsonGeometry(geometry.geometries[i], properties, style, added);
+			break;
+	}
+};
+
+/**
+ * Returns style options for a GeoJSON feature from its simplestyle properties (see loadGeoJSON)
+ *
+ * @param {object} feature - A GeoJSON Feature
+ * @return {object}
+ */
+Globe.geoJsonStyle = function(feature)
+{
+	"use strict";
+	var props = feature.properties || {};
+	var style = {description: props.title || props.name || ""};
+	if (props["marker-color"])
+		style.color = props["marker-color"];
+	if (props.stroke)
+		style.color = style.stroke = props.stroke;
+	if (props["stroke-width"])
+		style.width = style.lineWidth = props["stroke-width"];
+	if (props.fill)
+	{
+		var opacity = props["fill-opacity"] == null ? 0.6 : props["fill-opacity"];
+		style.fill = Globe.colorWithAlpha(props.fill, opacity);
+	}
+	return style;
+};
+
+/**
+ * Returns an rgba() CSS color from a hex color (#rgb or #rrggbb) and an opacity. Other colors are returned unchanged.
+ */
+Globe.colorWithAlpha = function(color, alpha)
+{
+	"use strict";
+	var hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+	if (!hex)
+		return color;
+	var digits = hex[1].length === 3 ? hex[1].replace(/(.)/g, "$1$1") : hex[1];
+	var value = parseInt(digits, 16);
+	return "rgba(" + (value >> 16) + "," + ((value >> 8) & 255) + "," + (value & 255) + "," + alpha + ")";
+};
+
+/**
+ * Returns the globe’s locations as a GeoJSON FeatureCollection of Point features. Each feature’s properties are
+ * copied from the location details (if they’re an object, otherwise they’re in a "details" property), plus
+ * "title" for the description and "marker-color" for the color.
+ *
+ * @return {object}
+ */
+Globe.prototype.toGeoJSON = function()
+{
+	"use strict";
+	var features = [];
+	for (var i = 0; i < this.locations.length; ++i)
+	{
+		var latLong = this.locations[i];
+		var properties = {};
+		var details = latLong.details;
+		if (details != null && typeof details === "object")
+		{
+			for (var name in details)
+			{
+				if (details.hasOwnProperty(name))
+					properties[name] = details[name];
+			}
+		}
+		else if (details != null)
+		{
+			properties.details = details;
+		}
+		if (latLong.description)
+			properties.title = latLong.description;
+		if (latLong.color)
+			properties["marker-color"] = latLong.color;
+		var longitude = Math.abs(latLong.longitude) <= 180 ? latLong.longitude : LatLong.normalizeLatLong(latLong.longitude);
+		var latitude = Math.abs(latLong.latitude) <= 180 ? latLong.latitude : LatLong.normalizeLatLong(latLong.latitude);
+		features.push({
+			type: "Feature",
+			geometry: {type: "Point", coordinates: [longitude, latitude]},
+			properties: properties
+		});
 	}
-	this.spinLastFrameUtcMs = (new Date()).getTime();
+	return {type: "FeatureCollection", features: features};
+};
+
+/**
+ * Shows or hides a density layer, blended into the globe image so it turns with the texture.
+ * It’s blended after the sunlight shading, so the densities stay readable on the night side.
+ *
+ * @param {Heatmap|object} heatmapOrOptions - A Heatmap, or the options for a new one (see the Heatmap constructor), or null to hide it
+ * @return {Heatmap}
+ */
+Globe.prototype.setHeatmap = function(heatmapOrOptions)
+{
+	"use strict";
+	if (!heatmapOrOptions)
+		this.heatmap = null;
+	else
+		this.heatmap = heatmapOrOptions instanceof Heatmap ? heatmapOrOptions : new Heatmap(heatmapOrOptions);
 	this.draw();
-	if (this.spinSetCallback)
-		this.spinSetCallback(degreesPerSecond, this.spinDegreesFrictionPerSecond);
+	return this.heatmap;
 };
 
 /**
- * Called by a timer for spin animation
+ * Adds weighted samples to the density layer, starting one with the default options if there isn’t one.
+ *
+ * @param {object[]} samples - LatLong objects, or any objects with .latitude, .longitude and an optional .weight
+ * @return {Heatmap}
  */
-Globe.prototype._updateSpin = function(nowUtcMs)
+Globe.prototype.addHeatmapSamples = function(samples)
 {
 	"use strict";
-	var secondsPassed = (nowUtcMs - this.spinLastFrameUtcMs) / 1000;
+	if (!this.heatmap)
+		this.heatmap = new Heatmap();
+	this.heatmap.addSamples(samples);
+	if (!this.spinDegreesPerSecond)
+		this.draw();
+	return this.heatmap;
+};
 
-	this.degreesRotation += this.spinDegreesPerSecond * secondsPassed;
-	if (this.spinDegreesFrictionPerSecond)
+/**
+ * The latitude of the Tropic of Cancer (the Tropic of Capricorn is its negative). The polar circles are at 90° minus this.
+ */
+Globe.TROPIC_LATITUDE = 23.4365;
+
+/**
+ * Shows or hides the graticule: lines of latitude and longitude drawn over the globe.
+ * The special lines are drawn in their own colors whether or not they fall on the spacing. Set a color to null to leave a line out.
+ *
+ * @param {object|boolean} options - Graticule options, or false to hide the graticule
+ *      @param {number} [options.spacing=15] - The degrees between lines
+ *      @param {string} [options.color="rgba(255,255,255,0.35)"] - The CSS color of ordinary lines
+ *      @param {number} [options.lineWidth=1] - The line width in pixels
+ *      @param {string} [options.equatorColor="rgba(255,255,0,0.7)"] - The CSS color of the equator
+ *      @param {string} [options.primeMeridianColor="rgba(255,160,0,0.7)"] - The CSS color of the prime meridian
+ *      @param {string} [options.tropicsColor="rgba(255,220,120,0.5)"] - The CSS color of the tropics of Cancer and Capricorn
+ *      @param {string} [options.polarCirclesColor="rgba(170,220,255,0.6)"] - The CSS color of the Arctic and Antarctic circles
+ *      @param {boolean} [options.labels=false] - True to label the lines in degrees: latitudes at the edge of the globe, and longitudes along the equator
+ *      @param {string} [options.font="10px sans-serif"] - The CSS font of the labels
+ */
+Globe.prototype.setGraticule = function(options)
+{
+	"use strict";
+	this.graticule = options ? Globe.makeGraticule(options) : null;
+	this.draw();
+};
+
+/**
+ * Returns the lines of a graticule, ready for drawGraticule. The ordinary lines fall on multiples of the spacing from
+ * the equator and the prime meridian.
+ *
+ * @param {object} options - Graticule options (see setGraticule)
+ * @return {object}
+ */
+Globe.makeGraticule = function(options)
+{
+	"use strict";
+	var spacing = options.spacing || 15;
+	var color = options.color || "rgba(255,255,255,0.35)";
+	var special = function(name, fallback) { return options[name] === undefined ? fallback : options[name]; };
+	var equatorColor = special("equatorColor", "rgba(255,255,0,0.7)");
+	var primeMeridianColor = special("primeMeridianColor", "rgba(255,160,0,0.7)");
+	var tropicsColor = special("tropicsColor", "rgba(255,220,120,0.5)");
+	var polarCirclesColor = special("polarCirclesColor", "rgba(170,220,255,0.6)");
+	var lines = [];
+	var k;
+
+	// Parallels, one point per 2° of longitude. Labeled lines are the ones on the spacing.
+	var addParallel = function(lat, lineColor, labeled)
 	{
-		var thisDrag = this.spinDegreesFrictionPerSecond * secondsPassed;
-		var newSpin = this.spinDegreesPerSecond - thisDrag;
-		if (Globe.differentSign(newSpin, this.spinDegreesPerSecond))
-			this.spin(0);
-		else
-			this.spinDegreesPerSecond = newSpin;
+		var vectors = [];
+		for (var lon = -180; lon <= 180; lon += 2)
+			vectors.push(new LatLong(lat, lon).toVector());
+		lines.push({vectors: vectors, color: lineColor, isParallel: true, degrees: lat, labeled: labeled});
+	};
+	var lastParallel = Math.ceil(90 / spacing) - 1; // The poles are points, not lines
+	for (k = -lastParallel; k <= lastParallel; ++k)
+	{
+		if (k !== 0) // The equator is a special line
+			addParallel(k * spacing, color, true);
+	}
+	if (equatorColor)
+		addParallel(0, equatorColor, true);
+	if (tropicsColor)
+	{
+		addParallel(Globe.TROPIC_LATITUDE, tropicsColor, false);
+		addParallel(-Globe.TROPIC_LATITUDE, tropicsColor, false);
+	}
+	if (polarCirclesColor)
+	{
+		addParallel(90 - Globe.TROPIC_LATITUDE, polarCirclesColor, false);
+		addParallel(Globe.TROPIC_LATITUDE - 90, polarCirclesColor, false);
+	}
+
+	// Meridians, one point per 2° of latitude
+	var addMeridian = function(lon, lineColor, labeled)
+	{
+		var vectors = [];
+		for (var lat = -90; lat <= 90; lat += 2)
+			vectors.push(new LatLong(lat, lon).toVector());
+		lines.push({vectors: vectors, color: lineColor, isParallel: false, degrees: lon, labeled: labeled});
+	};
+	for (k = -Math.floor(180 / spacing); k * spacing < 180; ++k)
+	{
+		if (k !== 0) // The prime meridian is a special line
+			addMeridian(k * spacing, color, true);
+	}
+	if (primeMeridianColor)
+		addMeridian(0, primeMeridianColor, true);
+
+	return {
+		lines: lines,
+		spacing: spacing,
+		lineWidth: options.lineWidth || 1,
+		labels: !!options.labels,
+		font: options.font || "10px sans-serif"
+	};
+};
+
+/**
+ * Sets the orientation of the globe. Any omitted parameter keeps its current value. Any flight in progress is cancelled.
+ *
+ * @param {number} [longitude] - The longitude in degrees to face the viewer
+ * @param {number} [latitude] - The latitude in degrees to face the viewer (-90° to 90°). Positive tilts the north pole toward the viewer.
+ * @param {number} [roll] - The counterclockwise rotation in degrees of the globe around the viewing axis
+ */
+Globe.prototype.setOrientation = function(longitude, latitude, roll)
+{
+	"use strict";
+	this.cancelFlight();
+	if (longitude != null)
+		this.degreesRotation = Globe.mod(longitude, 360);
+	if (latitude != null)
+		this.degreesTilt = Math.max(-90, Math.min(90, latitude));
+	if (roll != null)
+		this.degreesRoll = Globe.mod(roll, 360);
+	if (!this.spinDegreesPerSecond)
+		this.draw();
+};
+
+/**
+ * Returns the current orientation of the globe.
+ *
+ * @return {{longitude:number, latitude:number, roll:number}} The longitude and latitude facing the viewer, and the roll in degrees
+ */
+Globe.prototype.getOrientation = function()
+{
+	"use strict";
+	var longitude = Globe.mod(this.degreesRotation, 360);
+	if (longitude > 180)
+		longitude -= 360;
+	return {longitude: longitude, latitude: this.degreesTilt, roll: this.degreesRoll};
+};
+
+/**
+ * The texture sampling qualities, from fastest to smoothest (see setQuality)
+ */
+Globe.qualities = ["nearest", "bilinear", "supersampled"];
+
+/**
+ * Changes how smoothly the globe is drawn.
+ *
+ * @param {string} quality - "nearest" (fastest), "bilinear" (smooth when the texture is enlarged), or "supersampled"
+ *      (bilinear with four samples per pixel, and the edge of the globe anti-aliased from its coverage of a 4 by 4 grid in each pixel)
+ */
+Globe.prototype.setQuality = function(quality)
+{
+	"use strict";
+	if (Globe.qualities.indexOf(quality) < 0)
+		throw "Unknown quality: " + quality;
+	this.quality = quality;
+	if (this.offsets !== null)
+		this._layout(); // The edge alpha depends on the quality
+	this.draw();
+};
+
+/**
+ * Zooms the globe. When zoomed in, the globe extends beyond the canvas, and the texture is sampled at the larger scale.
+ * If canvas coordinates are given, the location under them is kept in place, otherwise the globe zooms around its center.
+ * Any flight in progress is cancelled.
+ *
+ * @param {number} zoom - The scale relative to the globe diameter, limited to the minZoom to maxZoom range
+ * @param {number} [canvasX] - The horizontal pixel coordinate to zoom around, relative to the drawing canvas
+ * @param {number} [canvasY] - The vertical pixel coordinate to zoom around, relative to the drawing canvas
+ */
+Globe.prototype.setZoom = function(zoom, canvasX, canvasY)
+{
+	"use strict";
+	this.cancelFlight();
+	zoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+	if (zoom === this.zoom)
+		return;
+	var anchor = canvasX == null ? null : this.getLatLong(canvasX, canvasY);
+	this.zoom = zoom;
+	if (anchor)
+	{
+		var moved = this.getLatLong(canvasX, canvasY);
+		if (moved)
+		{
+			this.degreesRotation += LatLong.normalizeLatLong(anchor.longitude - moved.longitude);
+			this.degreesTilt = Math.max(-90, Math.min(90, this.degreesTilt + anchor.latitude - moved.latitude));
+		}
+	}
+	if (this.offsets !== null)
+		this._layout();
+	if (!this.spinDegreesPerSecond)
+		this.draw();
+};
+
+/**
+ * Returns the current zoom, where 1 is the globe at its specified diameter.
+ *
+ * @return {number}
+ */
+Globe.prototype.getZoom = function()
+{
+	"use strict";
+	return this.zoom;
+};
+
+/**
+ * Easing functions for flyTo() and lookAt(), converting the fraction of the time passed (0 to 1) to the fraction of the way moved
+ */
+Globe.easings = {
+	linear: function(t) { return t; },
+	easeIn: function(t) { return t * t * t; },
+	easeOut: function(t) { t = 1 - t; return 1 - t * t * t; },
+	easeInOut: function(t) { return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; }
+};
+
+/**
+ * Smoothly turns the globe to center a location, pulling back partway for long trips (by up to half the zoom,
+ * even below minZoom). Spinning stops, and the flight is cancelled if the globe is spun, dragged, zoomed, turned
+ * or flown somewhere else first.
+ *
+ * @param {LatLong} latLong - The location to center
+ * @param {object} [options] - Flight options
+ *      @param {number} [options.duration] - The time in milliseconds (by default, longer for longer trips)
+ *      @param {string|function} [options.easing="easeInOut"] - A name from Globe.easings, or a function from time (0 to 1) to progress (0 to 1)
+ *      @param {number} [options.zoom] - The zoom to end at (by default, the current zoom)
+ *      @param {number} [options.tilt] - The latitude to face the viewer at the end (by default, the location’s latitude)
+ *      @param {number} [options.roll] - The roll to end at (by default, the current roll)
+ * @param {function} [callback] - Called with true when the flight finishes, or false if it’s cancelled
+ * @return {Promise} A promise of the same true or false, where promises are supported
+ */
+Globe.prototype.flyTo = function(latLong, options, callback)
+{
+	"use strict";
+	return this._startFlight(latLong, options || {}, callback, true);
+};
+
+/**
+ * Smoothly turns the globe to center a location, like flyTo() but without pulling back, and quicker by default.
+ *
+ * @param {LatLong} latLong - The location to center
+ * @param {object} [options] - The same options as for flyTo()
+ * @param {function} [callback] - Called with true when the turn finishes, or false if it’s cancelled
+ * @return {Promise} A promise of the same true or false, where promises are supported
+ */
+Globe.prototype.lookAt = function(latLong, options, callback)
+{
+	"use strict";
+	return this._startFlight(latLong, options || {}, callback, false);
+};
+
+/**
+ * Starts a flight for flyTo() or lookAt(). Each frame, _updateFlight() moves the globe along it.
+ */
+Globe.prototype._startFlight = function(latLong, options, callback, pullBack)
+{
+	"use strict";
+	this.cancelFlight();
+	this.spin(0);
+	var from = this.getOrientation();
+	var toLongitude = LatLong.normalizeLatLong(latLong.longitude);
+	var toLatitude = options.tilt == null ? Math.max(-90, Math.min(90, LatLong.normalizeLatLong(latLong.latitude))) : options.tilt;
+	var toRoll = options.roll == null ? from.roll : options.roll;
+	var toZoom = Math.max(this.minZoom, Math.min(this.maxZoom, options.zoom || this.zoom));
+
+	// The angle between the locations facing the viewer before and after, for the default duration and the pull back
+	var degreesApart = new LatLong(from.latitude, from.longitude).angleTo(new LatLong(toLatitude, toLongitude));
+	var easing = options.easing || "easeInOut";
+	if (typeof easing === "string")
+	{
+		if (!Globe.easings[easing])
+			throw "Unknown easing: " + easing;
+		easing = Globe.easings[easing];
+	}
+
+	var self = this;
+	var flight = {
+		startUtcMs: this.clock.now(),
+		duration: options.duration == null ? (pullBack ? Math.min(3000, 800 + degreesApart * 12) : Math.min(1500, 400 + degreesApart * 6)) : options.duration,
+		easing: easing,
+		fromLongitude: from.longitude,
+		deltaLongitude: LatLong.normalizeLatLong(toLongitude - from.longitude), // The short way around
+		fromLatitude: from.latitude,
+		deltaLatitude: toLatitude - from.latitude,
+		fromRoll: from.roll,
+		deltaRoll: LatLong.normalizeLatLong(toRoll - from.roll),
+		fromZoom: this.zoom,
+		toZoom: toZoom,
+		pullBack: pullBack ? Math.min(0.5, degreesApart / 180) : 0, // The fraction of the zoom lost halfway
+		callbacks: callback ? [callback] : []
+	};
+	var promise = null;
+	if (typeof Promise !== "undefined")
+		promise = new Promise(function(resolve) { flight.callbacks.push(resolve); });
+	this.flight = flight;
+	this.draw();
+	return promise;
+};
+
+/**
+ * Moves the globe along the current flight (see flyTo), finishing it when its time is up.
+ *
+ * @param {number} nowUtcMs - The result of (new Date()).getTime()
+ */
+Globe.prototype._updateFlight = function(nowUtcMs)
+{
+	"use strict";
+	var flight = this.flight;
+	var t = flight.duration > 0 ? Math.max(0, Math.min(1, (nowUtcMs - flight.startUtcMs) / flight.duration)) : 1;
+	var progress = flight.easing(t);
+	this.degreesRotation = Globe.mod(flight.fromLongitude + flight.deltaLongitude * progress, 360);
+	this.degreesTilt = Math.max(-90, Math.min(90, flight.fromLatitude + flight.deltaLatitude * progress));
+	this.degreesRoll = Globe.mod(flight.fromRoll + flight.deltaRoll * progress, 360);
+	var zoom = flight.toZoom;
+	if (t < 1)
+	{// Free of minZoom, so the globe pulls back at any zoom
+		zoom = flight.fromZoom + (flight.toZoom - flight.fromZoom) * progress;
+		zoom *= 1 - flight.pullBack * Math.sin(progress * Math.PI);
+	}
+	if (Math.abs(zoom - this.zoom) > 0.001 || (t === 1 && zoom !== this.zoom))
+	{
+		this.zoom = zoom;
+		if (this.offsets !== null)
+			this._layout();
+	}
+	if (t === 1)
+		this._endFlight(true);
+};
+
+/**
+ * Stops any flyTo() or lookAt() in progress where it is. Its callback gets false.
+ */
+Globe.prototype.cancelFlight = function()
+{
+	"use strict";
+	if (this.flight)
+		this._endFlight(false);
+};
+
+/**
+ * Ends the current flight, calling its callbacks with whether it reached its destination.
+ */
+Globe.prototype._endFlight = function(arrived)
+{
+	"use strict";
+	var callbacks = this.flight.callbacks;
+	this.flight = null;
+	for (var i = 0; i < callbacks.length; ++i)
+		callbacks[i](arrived);
+};
+
+/**
+ * Starts a tour of the locations: the globe flies to each in turn, rings it and (optionally) shows its details,
+ * then moves on after a pause. Spinning or dragging the globe pauses the tour (see options.pauseOnInteraction),
+ * which can resume by itself once the user leaves the globe alone. The locations are taken from the globe as the tour goes, so they can change on the way.
+ *
+ * @param {object} [options] - Tour options
+ *      @param {number} [options.dwell=4000] - How long to stay at each location in milliseconds
+ *      @param {string} [options.order="list"] - "list" for the order the locations were added, "nearest" to go to the
+ *           nearest location not yet visited, or "random"
+ *      @param {boolean} [options.loop=true] - True to start over after the last location, or false to end the tour there
+ *      @param {boolean} [options.pauseOnInteraction=true] - True to pause when the user moves or zooms the globe,
+ *           or false to carry on a second after the user lets go
+ *      @param {number} [options.resumeAfterIdle=10000] - Milliseconds without interaction before a paused tour resumes, or 0 to stay paused
+ *      @param {boolean} [options.showDetails=true] - True to show the tooltip for each location while the tour is there
+ *      @param {object} [options.flight] - Options for flying between locations (see flyTo)
+ */
+Globe.prototype.startTour = function(options)
+{
+	"use strict";
+	options = options || {};
+	var order = options.order || "list";
+	if (order !== "list" && order !== "nearest" && order !== "random")
+		throw "Unknown tour order: " + order;
+	this.stopTour();
+	this.tour = {
+		dwell: options.dwell == null ? 4000 : options.dwell,
+		order: order,
+		loop: options.loop !== false,
+		pauseOnInteraction: options.pauseOnInteraction !== false,
+		resumeAfterIdle: options.resumeAfterIdle == null ? 10000 : options.resumeAfterIdle,
+		showDetails: options.showDetails !== false,
+		flight: options.flight || {},
+		visited: [], // The locations visited since the tour (re)started its list
+		location: null, // The location being flown to or shown
+		arrived: false,
+		paused: false,
+		timer: 0 // Ends the dwell, or resumes after idling
+	};
+	this._tourNext();
+};
+
+/**
+ * Ends the tour, leaving the globe where it is.
+ */
+Globe.prototype.stopTour = function()
+{
+	"use strict";
+	var tour = this.tour;
+	if (!tour)
+		return;
+	this.tour = null;
+	if (tour.timer)
+		this.clock.clearTimer(tour.timer);
+	this.cancelFlight();
+	this._setHighlightLocation(null);
+};
+
+/**
+ * Pauses the tour where it is. It stays paused until resumeTour(), and won’t resume by itself after idling.
+ */
+Globe.prototype.pauseTour = function()
+{
+	"use strict";
+	this._pauseTour(false);
+};
+
+/**
+ * Continues a paused tour, finishing the trip to the location it was going to, or going on to the next.
+ */
+Globe.prototype.resumeTour = function()
+{
+	"use strict";
+	var tour = this.tour;
+	if (!tour || !tour.paused)
+		return;
+	tour.paused = false;
+	if (tour.timer)
+		this.clock.clearTimer(tour.timer);
+	tour.timer = 0;
+	if (tour.location && !tour.arrived)
+		this._tourFly(tour.location);
+	else
+		this._tourNext();
+};
+
+/**
+ * Returns whether a tour is under way (even if paused).
+ *
+ * @return {boolean}
+ */
+Globe.prototype.isTouring = function()
+{
+	"use strict";
+	return !!this.tour;
+};
+
+/**
+ * Pauses the tour, optionally resuming after options.resumeAfterIdle.
+ */
+Globe.prototype._pauseTour = function(resumeLater)
+{
+	"use strict";
+	var tour = this.tour;
+	if (!tour)
+		return;
+	tour.paused = true;
+	if (tour.timer)
+		this.clock.clearTimer(tour.timer);
+	tour.timer = 0;
+	if (this.flight)
+		this.cancelFlight(); // Calls back to _tourFly, which leaves a paused tour alone
+	if (resumeLater && tour.resumeAfterIdle > 0)
+	{
+		var self = this;
+		tour.timer = this.clock.setTimer(function() { tour.timer = 0; if (self.tour === tour) self.resumeTour(); }, tour.resumeAfterIdle);
+	}
+};
+
+/**
+ * Called when the user moves or zooms the globe, to pause any tour (and restart the wait before it resumes).
+ */
+Globe.prototype._noteInteraction = function()
+{
+	"use strict";
+	if (this.tour && this.tour.pauseOnInteraction)
+		this._pauseTour(true);
+};
+
+/**
+ * Sends the tour to its next location, or ends it if there are no more.
+ */
+Globe.prototype._tourNext = function()
+{
+	"use strict";
+	var tour = this.tour;
+	var from = tour.location;
+	var candidates = [];
+	for (var pass = 0; pass < 2 && !candidates.length; ++pass)
+	{
+		for (var i = 0; i < this.locations.length; ++i)
+		{
+			var location = this.locations[i];
+			if (!location.isDead && tour.visited.indexOf(location) < 0 && !(pass && location === from))
+				candidates.push(location); // Starting over, the location just shown waits for a turn if there are others
+		}
+		if (!candidates.length && pass && from && !from.isDead && this.locations.indexOf(from) >= 0)
+			candidates.push(from); // The only location left
+		if (!candidates.length)
+		{
+			if (!tour.loop || !this.locations.length || pass)
+			{
+				this.stopTour();
+				this._fire("tourend", {location: from});
+				return;
+			}
+			tour.visited = []; // Start over
+		}
+	}
+
+	var next = candidates[0];
+	if (tour.order === "random")
+	{
+		next = candidates[Math.floor(Math.random() * candidates.length)];
+	}
+	else if (tour.order === "nearest" && from)
+	{
+		var bestAngle = Infinity;
+		for (i = 0; i < candidates.length; ++i)
+		{
+			var angle = from.angleTo(candidates[i]);
+			if (angle < bestAngle)
+			{
+				bestAngle = angle;
+				next = candidates[i];
+			}
+		}
+	}
+	tour.visited.push(next);
+	this._tourFly(next);
+};
+
+/**
+ * Flies the tour to a location, then shows it for the dwell time.
+ */
+Globe.prototype._tourFly = function(location)
+{
+	"use strict";
+	var tour = this.tour;
+	var self = this;
+	tour.location = location;
+	tour.arrived = false;
+	this._setHighlightLocation(null);
+	this.flyTo(location, tour.flight, function(arrived)
+	{
+		if (self.tour !== tour || !arrived)
+		{// Something else took over the globe
+			if (self.tour === tour && !tour.paused)
+			{
+				if (tour.pauseOnInteraction)
+					self._pauseTour(true);
+				else
+					self._tourAfterInteraction();
+			}
+			return;
+		}
+		tour.arrived = true;
+		self._setHighlightLocation(location);
+		self._fire("tourvisit", {location: location, x: null, y: null, originalEvent: null});
+		tour.timer = self.clock.setTimer(function() { tour.timer = 0; if (self.tour === tour) self._tourNext(); }, tour.dwell);
+	});
+};
+
+/**
+ * Carries on with a tour that doesn’t pause for interaction once the user lets go of the globe
+ * (and any other flight is over), finishing the trip to its location or going on to the next.
+ */
+Globe.prototype._tourAfterInteraction = function()
+{
+	"use strict";
+	var tour = this.tour;
+	var self = this;
+	if (tour.timer)
+		this.clock.clearTimer(tour.timer);
+	tour.timer = this.clock.setTimer(function()
+	{
+		tour.timer = 0;
+		if (self.tour !== tour || tour.paused)
+			return;
+		if (self.mouseDown || self.pinchDistance !== null || self.flight)
+			self._tourAfterInteraction(); // Still busy, so check again later
+		else if (tour.location && !tour.arrived)
+			self._tourFly(tour.location);
+		else
+			self._tourNext();
+	}, 1000);
+};
+
+/**
+ * Sets the location ringed by the tour, showing its details if the tour does.
+ */
+Globe.prototype._setHighlightLocation = function(location)
+{
+	"use strict";
+	if (location === this.highlightLocation)
+		return;
+	this.highlightLocation = location;
+	if (this.div)
+		this._updateTooltip();
+	this.draw();
+};
+
+/**
+ * Returns the opacity of a timed location at a given time: fading in after its start time, fading out before its
+ * expiration, and 0 outside of them.
+ *
+ * @param {LatLong} latLong - The location
+ * @param {number} time - The time, as milliseconds like (new Date()).getTime()
+ * @param {number} fadeMs - How long the fades take
+ * @return {number} The opacity (0 to 1)
+ */
+Globe.timedAlpha = function(latLong, time, fadeMs)
+{
+	"use strict";
+	var alpha = 1;
+	if (latLong.start != null)
+	{
+		if (time < latLong.start)
+			return 0;
+		if (fadeMs > 0)
+			alpha = Math.min(alpha, (time - latLong.start) / fadeMs);
+	}
+	if (latLong.expiration)
+	{
+		if (time >= latLong.expiration)
+			return 0;
+		if (fadeMs > 0)
+			alpha = Math.min(alpha, (latLong.expiration - time) / fadeMs);
+	}
+	return Math.max(0, alpha);
+};
+
+/**
+ * Starts replaying the locations on a virtual clock. Each location shows from its .start time (if it has one) until its
+ * .expiration (if it has one), fading in and out, and expired locations are kept so the playhead can go back to them.
+ * The playback controls are play(), pause(), seek() and setPlaybackSpeed().
+ *
+ * @param {object} [options] - Playback options
+ *      @param {Date|number} [options.start] - The time to start from (by default, the earliest start or expiration of the locations)
+ *      @param {Date|number} [options.end] - The time to end at (by default, the latest start or expiration of the locations)
+ *      @param {number} [options.speed=1] - How many milliseconds of playback pass each millisecond. Negative plays backward.
+ *      @param {boolean} [options.loop=false] - True to go back to the start at the end
+ *      @param {number} [options.fade] - How long locations take to fade in and out, in milliseconds of playback
+ *           (by default, whatever one real second is at the current speed)
+ *      @param {boolean} [options.autoplay=true] - False to start paused
+ */
+Globe.prototype.startPlayback = function(options)
+{
+	"use strict";
+	options = options || {};
+	var toMs = function(time) { return time == null ? null : typeof time === "number" ? time : time.getTime(); };
+	var start = toMs(options.start);
+	var end = toMs(options.end);
+	if (start === null || end === null)
+	{// Span the times of the locations
+		var earliest = null;
+		var latest = null;
+		for (var i = 0; i < this.locations.length; ++i)
+		{
+			var times = [this.locations[i].start, this.locations[i].expiration];
+			for (var t = 0; t < times.length; ++t)
+			{
+				if (times[t] != null)
+				{
+					earliest = earliest === null ? times[t] : Math.min(earliest, times[t]);
+					latest = latest === null ? times[t] : Math.max(latest, times[t]);
+				}
+			}
+		}
+		var now = this.clock.now();
+		start = start === null ? (earliest === null ? now : earliest) : start;
+		end = end === null ? (latest === null ? start : latest) : end;
+	}
+	if (end < start)
+		throw "The playback end is before its start";
+	this.playback = {
+		start: start,
+		end: end,
+		speed: options.speed == null ? 1 : options.speed,
+		loop: !!options.loop,
+		fade: options.fade == null ? null : options.fade,
+		playing: false,
+		time: start, // The playhead when last paused, sought or sped up...
+		realTime: this.clock.now(), // ...and the real time then
+		lastTime: start, // The playhead as of the last frame, for playbackpass events...
+		passLastTime: true // ...and whether locations right at it are still to be passed
+	};
+	if (options.autoplay !== false)
+		this.play();
+	else
+		this.draw();
+};
+
+/**
+ * Ends playback, going back to showing the locations in real time.
+ */
+Globe.prototype.stopPlayback = function()
+{
+	"use strict";
+	this.playback = null;
+	this.draw();
+};
+
+/**
+ * Plays (or continues) the playback from the playhead.
+ */
+Globe.prototype.play = function()
+{
+	"use strict";
+	var playback = this.playback;
+	if (!playback || playback.playing)
+		return;
+	if ((playback.speed >= 0 && playback.time >= playback.end) || (playback.speed < 0 && playback.time <= playback.start))
+	{// Play again from the beginning
+		playback.time = playback.lastTime = playback.speed >= 0 ? playback.start : playback.end;
+		playback.passLastTime = true;
+	}
+	playback.realTime = this.clock.now();
+	playback.playing = true;
+	this.draw();
+};
+
+/**
+ * Pauses the playback at the playhead.
+ */
+Globe.prototype.pause = function()
+{
+	"use strict";
+	var playback = this.playback;
+	if (!playback || !playback.playing)
+		return;
+	playback.time = this.getPlaybackTime();
+	playback.playing = false;
+	this.draw();
+};
+
+/**
+ * Moves the playhead, without firing playbackpass events for the locations skipped over.
+ *
+ * @param {Date|number} time - The time to move to, as a Date or as milliseconds like (new Date()).getTime()
+ */
+Globe.prototype.seek = function(time)
+{
+	"use strict";
+	var playback = this.playback;
+	if (!playback)
+		return;
+	time = typeof time === "number" ? time : time.getTime();
+	playback.time = playback.lastTime = Math.max(playback.start, Math.min(playback.end, time));
+	playback.passLastTime = false;
+	playback.realTime = this.clock.now();
+	this.draw();
+};
+
+/**
+ * Changes how fast the playback goes.
+ *
+ * @param {number} speed - How many milliseconds of playback pass each millisecond. Negative plays backward.
+ */
+Globe.prototype.setPlaybackSpeed = function(speed)
+{
+	"use strict";
+	var playback = this.playback;
+	if (!playback)
+		return;
+	playback.time = this.getPlaybackTime();
+	playback.realTime = this.clock.now();
+	playback.speed = speed;
+	this.draw();
+};
+
+/**
+ * Returns the time at the playhead, or null if there's no playback.
+ *
+ * @return {number} Milliseconds like (new Date()).getTime()
+ */
+Globe.prototype.getPlaybackTime = function()
+{
+	"use strict";
+	var playback = this.playback;
+	if (!playback)
+		return null;
+	if (!playback.playing)
+		return playback.time;
+	var time = playback.time + (this.clock.now() - playback.realTime) * playback.speed;
+	return Math.max(playback.start, Math.min(playback.end, time));
+};
+
+/**
+ * Returns whether the playback is playing (rather than paused or not started).
+ *
+ * @return {boolean}
+ */
+Globe.prototype.isPlaying = function()
+{
+	"use strict";
+	return !!(this.playback && this.playback.playing);
+};
+
+/**
+ * Returns how long the played back locations take to fade in and out, in milliseconds of playback.
+ */
+Globe.prototype._playbackFade = function()
+{
+	"use strict";
+	var playback = this.playback;
+	return playback.fade === null ? 1000 * Math.abs(playback.speed) : playback.fade;
+};
+
+/**
+ * Returns the locations with start times, sorted by them, for finding the ones the playhead passed.
+ *
+ * @return {LatLong[]}
+ */
+Globe.prototype._getPlaybackItems = function()
+{
+	"use strict";
+	if (!this.playbackItems)
+	{
+		this.playbackItems = this.locations.filter(function(latLong) { return latLong.start != null; });
+		this.playbackItems.sort(function(a, b) { return a.start - b.start; });
+	}
+	return this.playbackItems;
+};
+
+/**
+ * Fires playbackpass for the locations whose start times the playhead passed since the last frame,
+ * and handles reaching the end of the playback.
+ */
+Globe.prototype._updatePlayback = function()
+{
+	"use strict";
+	var playback = this.playback;
+	var time = this.getPlaybackTime();
+	var backward = time < playback.lastTime;
+	var from = backward ? time : playback.lastTime;
+	var to = backward ? playback.lastTime : time;
+	if (to > from || playback.passLastTime)
+	{
+		var items = this._getPlaybackItems();
+		// Binary search for the first start after the earlier time, or at it when playing backward or from there
+		var inclusive = backward || playback.passLastTime;
+		var low = 0;
+		var high = items.length;
+		while (low < high)
+		{
+			var middle = (low + high) >> 1;
+			if (inclusive ? items[middle].start < from : items[middle].start <= from)
+				low = middle + 1;
+			else
+				high = middle;
+		}
+		var passed = [];
+		for (var i = low; i < items.length && (items[i].start < to || (items[i].start === to && (!backward || playback.passLastTime))); ++i)
+			passed.push(items[i]);
+		if (backward)
+			passed.reverse(); // In the order the playhead passed them
+		for (i = 0; i < passed.length && this.playback === playback; ++i)
+			this._fire("playbackpass", {location: passed[i], time: passed[i].start, x: null, y: null, originalEvent: null});
+	}
+	playback.lastTime = time;
+	playback.passLastTime = false;
+
+	var atEnd = playback.speed >= 0 ? time >= playback.end : time <= playback.start;
+	if (atEnd && playback.speed && this.playback === playback)
+	{
+		if (playback.loop)
+		{
+			playback.time = playback.lastTime = playback.speed > 0 ? playback.start : playback.end;
+			playback.passLastTime = true;
+			playback.realTime = this.clock.now();
+		}
+		else
+		{
+			playback.time = time;
+			playback.playing = false;
+			this._fire("playbackend", {time: time, location: null, x: null, y: null, originalEvent: null});
+		}
+	}
+};
+
+/**
+ * Sets the time used to light the globe (see options.sunlight), and turns sunlight on.
+ *
+ * @param {Date|number} [date] - The time, as a Date or as milliseconds like (new Date()).getTime(). Omit or pass null for real time.
+ */
+Globe.prototype.setTime = function(date)
+{
+	"use strict";
+	this.sunTime = date == null ? null : date;
+	this.sunlight = true;
+	if (!this.spinDegreesPerSecond)
+		this.draw();
+};
+
+/**
+ * Returns the point where the sun is directly overhead at the globe’s time (see setTime).
+ *
+ * @param {number} [nowUtcMs] - The result of (new Date()).getTime(), used in real time mode
+ * @return {LatLong}
+ */
+Globe.prototype.getSunLatLong = function(nowUtcMs)
+{
+	"use strict";
+	return LatLong.subsolarPoint(this.sunTime === null ? (nowUtcMs || this.clock.now()) : this.sunTime);
+};
+
+/**
+ * Returns true if the globe is tilted or rolled, so that the rendering can't use only horizontal texture offsets.
+ *
+ * @return {boolean}
+ */
+Globe.prototype._isTilted = function()
+{
+	"use strict";
+	return Globe.mod(this.degreesTilt, 360) !== 0 || Globe.mod(this.degreesRoll, 360) !== 0;
+};
+
+/**
+ * Applies the globe tilt and roll to a point on the unit sphere that already has the longitude rotation applied.
+ * The returned view coordinates have x to the right, y up, and z toward the viewer.
+ *
+ * @param {number} x - Toward the east of the longitude facing the viewer
+ * @param {number} y - Toward the north pole
+ * @param {number} z - Toward the longitude facing the viewer at the equator
+ * @return {{x:number, y:number, z:number}}
+ */
+Globe.prototype._toView = function(x, y, z)
+{
+	"use strict";
+	var tiltRad = (this.degreesTilt / 180) * Math.PI;
+	var rollRad = (this.degreesRoll / 180) * Math.PI;
+	var cosTilt = Math.cos(tiltRad);
+	var sinTilt = Math.sin(tiltRad);
+	var yTilted = y * cosTilt - z * sinTilt;
+	var zTilted = y * sinTilt + z * cosTilt;
+	var cosRoll = Math.cos(rollRad);
+	var sinRoll = Math.sin(rollRad);
+	return {x: x * cosRoll - yTilted * sinRoll, y: x * sinRoll + yTilted * cosRoll, z: zTilted};
+};
+
+/**
+ * The inverse of _toView: removes the globe roll and tilt from view coordinates.
+ *
+ * @param {number} x - View x (to the right)
+ * @param {number} y - View y (up)
+ * @param {number} z - View z (toward the viewer)
+ * @return {{x:number, y:number, z:number}}
+ */
+Globe.prototype._fromView = function(x, y, z)
+{
+	"use strict";
+	var tiltRad = (this.degreesTilt / 180) * Math.PI;
+	var rollRad = (this.degreesRoll / 180) * Math.PI;
+	var cosRoll = Math.cos(rollRad);
+	var sinRoll = Math.sin(rollRad);
+	var xUnrolled = x * cosRoll + y * sinRoll;
+	var yUnrolled = y * cosRoll - x * sinRoll;
+	var cosTilt = Math.cos(tiltRad);
+	var sinTilt = Math.sin(tiltRad);
+	return {x: xUnrolled, y: yUnrolled * cosTilt + z * sinTilt, z: z * cosTilt - yUnrolled * sinTilt};
+};
+
+/**
+ * Converts a vector from the center of the Earth (see LatLong.prototype.toVector) to view coordinates,
+ * applying the globe rotation, tilt and roll.
+ *
+ * @return {{x:number, y:number, z:number}}
+ */
+Globe.prototype._worldToView = function(x, y, z)
+{
+	"use strict";
+	var m = this._viewMatrix();
+	return {x: m[0] * x + m[1] * y + m[2] * z, y: m[3] * x + m[4] * y + m[5] * z, z: m[6] * x + m[7] * y + m[8] * z};
+};
+
+/**
+ * Returns the 3×3 rotation matrix (in row order) used by _worldToView, recalculating it only when the orientation changes.
+ *
+ * @return {number[]}
+ */
+Globe.prototype._viewMatrix = function()
+{
+	"use strict";
+	var key = this.degreesRotation + "," + this.degreesTilt + "," + this.degreesRoll;
+	if (this.viewMatrixKey === key)
+		return this.viewMatrix;
+	var rotRad = (this.degreesRotation / 180) * Math.PI;
+	var cosRot = Math.cos(rotRad);
+	var sinRot = Math.sin(rotRad);
+	// The columns are where the x, y and z axes end up
+	var xAxis = this._toView(cosRot, 0, sinRot);
+	var yAxis = this._toView(0, 1, 0);
+	var zAxis = this._toView(-sinRot, 0, cosRot);
+	this.viewMatrix = [xAxis.x, yAxis.x, zAxis.x, xAxis.y, yAxis.y, zAxis.y, xAxis.z, yAxis.z, zAxis.z];
+	this.viewMatrixKey = key;
+	return this.viewMatrix;
+};
+
+/**
+ * Converts a latitude/longitude to pixel coordinates for the drawn globe.
+ *
+ * @param latitudeOrLatLong The latitude degrees as a number, or a LatLong object
+ * @param longitudeOrNothing The longitude degrees as a number (ignored if the first parameter is not a number)
+ * @return Object with .x and .y pixel coordinates, .foreground true or false, and .z (1 facing the viewer, 0 at the edge, -1 behind)
+ */
+Globe.prototype.getXYCoordinates = function(latitudeOrLatLong, longitudeOrNothing)
+{
+	// Fix parameters
+	var latitude;
+	var longitude;
+	if (typeof latitudeOrLatLong === "number")
+	{
+		latitude = latitudeOrLatLong;
+		longitude = longitudeOrNothing;
+	}
+	else
+	{
+		latitude = latitudeOrLatLong.latitude;
+		longitude = latitudeOrLatLong.longitude;
+	}
+	latitude = Globe.mod(latitude, 360);
+	if (latitude > 180)
+		latitude -= 360;
+
+	longitude = Globe.mod(longitude - this.degreesRotation, 360);
+	if (longitude > 180)
+		longitude -= 360;
+
+	var radius = this.size * this.zoom / 2;
+
+	// Position on the unit sphere, then in view coordinates
+	var yrad = (latitude / 180) * Math.PI;
+	var xrad = (longitude / 180) * Math.PI;
+	var cosLat = Math.cos(yrad);
+	var view = this._toView(cosLat * Math.sin(xrad), Math.sin(yrad), cosLat * Math.cos(xrad));
+
+	var xCoord = view.x * radius + this.size / 2 + this.xOffset;
+	var yCoord = -view.y * radius + this.size / 2 + this.yOffset;
+
+	// Horizontal position relative to the width of the globe at this height (-1 to 1)
+	var rowHalfWidth = Math.sqrt(Math.max(0, 1 - view.y * view.y));
+	var xRel = rowHalfWidth > 0 ? Math.max(-1, Math.min(1, view.x / rowHalfWidth)) : 0;
+
+	var isForeground = view.z >= 0;
+
+	return {x:xCoord, y:yCoord, foreground:isForeground, xRel:xRel, z:view.z, latitude:latitude, longitude:longitude};
+};
+
+/**
+ * Converts pixel coordinates to a LatLong object (with .latitude and .longitude properties).
+ *
+ * @param {number} canvasX - The horizontal pixel coordinate, relative to the drawing canvas.
+ * @param {number} canvasY - The vertical pixel coordinate, relative to the drawing canvas.
+ * @param {string} [description] - An optional description to apply to any returned LatLong object
+ * @return {LatLong}
+ */
+Globe.prototype.getLatLong =function(canvasX, canvasY, description)
+{
+	"use strict";
+	var radius = this.size * this.zoom / 2;
+	var x = (canvasX - this.xOffset - this.size / 2) / radius; // -1 to 1 (1 to the right)
+	var y = (this.yOffset + this.size / 2 - canvasY) / radius; // -1 to 1 (1 at the top)
+	var zSquared = 1 - x * x - y * y;
+	if (!(zSquared >= 0))
+		return null; // Not on globe
+	var sphere = this._fromView(x, y, Math.sqrt(zSquared));
+	var latitude = (Math.asin(Math.max(-1, Math.min(1, sphere.y))) / Math.PI) * 180;
+	var longitude = (Math.atan2(sphere.x, sphere.z) / Math.PI) * 180;
+	// Now adjust longitude for globe rotation
+	longitude += this.degreesRotation;
+	longitude = Globe.mod(longitude, 360); // 0 to 360 range
+	if (longitude > 180)
+		longitude -= 360;
+	if (isNaN(latitude) || isNaN(longitude))
+		return null; // Not on globe
+	return new LatLong(latitude, longitude, description);
+};
+
+/**
+ * Returns the foreground location drawn at the given pixel coordinates, or null if there isn’t one.
+ * When locations overlap, the one drawn last (on top) is returned.
+ *
+ * @param {number} canvasX - The horizontal pixel coordinate, relative to the drawing canvas.
+ * @param {number} canvasY - The vertical pixel coordinate, relative to the drawing canvas.
+ * @return {LatLong}
+ */
+Globe.prototype.getLocationAt = function(canvasX, canvasY)
+{
+	"use strict";
+	for (var i = this.drawnLocations.length - 1; i >= 0; --i)
+	{
+		var drawn = this.drawnLocations[i];
+		var dx = drawn.x - canvasX;
+		var dy = drawn.y - canvasY;
+		var hitRadius = drawn.radius + this.hitTolerance;
+		if (dx * dx + dy * dy <= hitRadius * hitRadius)
+			return drawn.location;
+	}
+	return null;
+};
+
+/**
+ * Returns the region drawn at the given pixel coordinates, or null if there isn’t one.
+ * When regions overlap, the one drawn last (on top) is returned.
+ *
+ * @param {number} canvasX - The horizontal pixel coordinate, relative to the drawing canvas.
+ * @param {number} canvasY - The vertical pixel coordinate, relative to the drawing canvas.
+ * @return {Region}
+ */
+Globe.prototype.getRegionAt = function(canvasX, canvasY)
+{
+	"use strict";
+	for (var i = this.drawnRegions.length - 1; i >= 0; --i)
+	{
+		var drawn = this.drawnRegions[i];
+		if (Globe.isPointInOutlines(canvasX, canvasY, drawn.outlines))
+			return drawn.region;
+	}
+	return null;
+};
+
+/**
+ * Returns true if a point is inside a set of outlines, using the even-odd rule (so outlines inside others are holes).
+ *
+ * @param {number} x - The horizontal coordinate of the point
+ * @param {number} y - The vertical coordinate of the point
+ * @param {{x:number, y:number}[][]} outlines - Closed outlines (the last point joins back to the first)
+ * @return {boolean}
+ */
+Globe.isPointInOutlines = function(x, y, outlines)
+{
+	"use strict";
+	var inside = false;
+	for (var o = 0; o < outlines.length; ++o)
+	{
+		var outline = outlines[o];
+		for (var i = 0, j = outline.length - 1; i < outline.length; j = i++)
+		{
+			var a = outline[i];
+			var b = outline[j];
+			if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x)
+				inside = !inside;
+		}
+	}
+	return inside;
+};
+
+/**
+ * Adds a callback for a globe event. The callback receives an event object with these properties:
+ * .location (the LatLong of a foreground location, or null), .x and .y (pixel coordinates relative to the drawing canvas),
+ * .originalEvent (the mouse or pointer event), for region events and globeclick, .region (a Region, or null),
+ * and for globeclick, .latLong (a LatLong for the point clicked on the globe).
+ *
+ * Events:
+ * • "locationclick" - A foreground location was clicked or tapped
+ * • "clusterclick" - A cluster bubble was clicked or tapped, with .cluster (see getClusterAt)
+ * • "locationhover" - The mouse moved onto a foreground location, or off of it (with a null .location)
+ * • "regionclick" - A region was clicked or tapped where there was no location
+ * • "regionhover" - The mouse moved onto a region, or off of it (with a null .region)
+ * • "globeclick" - The globe was clicked or tapped, whether or not a location or region was hit
+ * • "tourvisit" - A tour arrived at a location, with .location (see startTour)
+ * • "tourend" - A tour that doesn’t loop visited its last location
+ * • "playbackpass" - The playhead passed the start time of a location while playing, with .location and .time (see startPlayback)
+ * • "playbackend" - Playback reached the end time (or the start time, playing backward) without looping, with .time
+ *
+ * @param {string} eventName - The name of the event
+ * @param {function} callback - The function to call with the event object
+ */
+Globe.prototype.on = function(eventName, callback)
+{
+	"use strict";
+	if (!this.eventHandlers[eventName])
+		this.eventHandlers[eventName] = [];
+	this.eventHandlers[eventName].push(callback);
+};
+
+/**
+ * Removes a callback added with on()
+ *
+ * @param {string} eventName - The name of the event
+ * @param {function} callback - The function previously passed to on()
+ */
+Globe.prototype.off = function(eventName, callback)
+{
+	"use strict";
+	var handlers = this.eventHandlers[eventName];
+	if (!handlers)
+		return;
+	var index = handlers.indexOf(callback);
+	if (index > -1)
+		handlers.splice(index, 1);
+	if (!handlers.length)
+		delete this.eventHandlers[eventName];
+};
+
+/**
+ * Calls the callbacks for an event
+ */
+Globe.prototype._fire = function(eventName, event)
+{
+	"use strict";
+	var handlers = this.eventHandlers[eventName];
+	if (!handlers)
+		return;
+	event.type = eventName;
+	event.globe = this;
+	handlers = handlers.slice(); // A callback may call off()
+	for (var i = 0; i < handlers.length; ++i)
+		handlers[i].call(this, event);
+};
+
+/**
+ * Returns the default tooltip HTML for a location: the description followed by the details.
+ * String details are shown as text, and object details as a list of names and values.
+ *
+ * @param {LatLong} latLong - The location
+ * @return {string}
+ */
+Globe.tooltipHtml = function(latLong)
+{
+	"use strict";
+	var html = latLong.description ? "<b>" + Globe.escapeHtml(latLong.description) + "</b>" : "";
+	var details = latLong.details;
+	if (details != null && typeof details === "object")
+	{
+		for (var name in details)
+		{
+			if (details.hasOwnProperty(name) && details[name] != null)
+				html += (html ? "<br>" : "") + Globe.escapeHtml(name) + ": " + Globe.escapeHtml(details[name]);
+		}
+	}
+	else if (details != null && details !== "")
+	{
+		html += (html ? "<br>" : "") + Globe.escapeHtml(details);
+	}
+	return html;
+};
+
+/**
+ * Escapes text for use in HTML
+ */
+Globe.escapeHtml = function(text)
+{
+	"use strict";
+	return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+};
+
+/**
+ * Shows the tooltip for the hovered location (or the location a tour is showing) next to its dot,
+ * or hides the tooltip if there's neither.
+ */
+Globe.prototype._updateTooltip = function()
+{
+	"use strict";
+	var location = this.hoverLocation || (this.tour && this.tour.showDetails ? this.highlightLocation : null);
+	var html = "";
+	if (location)
+		html = typeof this.tooltip === "function" ? this.tooltip(location) : Globe.tooltipHtml(location);
+	if (!html)
+	{
+		if (this.tooltipElement)
+			this.tooltipElement.style.display = "none";
+		return;
+	}
+	if (!this.tooltipElement)
+	{
+		this.tooltipElement = document.createElement("div");
+		this.tooltipElement.style.cssText = "position: absolute; z-index: 3; pointer-events: none; padding: 3px 6px; " +
+			"background: rgba(255,255,255,0.92); border: 1px solid #888; border-radius: 3px; font: 12px sans-serif; white-space: nowrap;";
+		this.div.appendChild(this.tooltipElement);
+	}
+	var where = this.getXYCoordinates(location);
+	var topCanvas = this.eventCanvas;
+	this.tooltipElement.innerHTML = html;
+	this.tooltipElement.style.left = Math.round(topCanvas.offsetLeft + where.x + this.dotRadius + 6) + "px";
+	this.tooltipElement.style.top = Math.round(topCanvas.offsetTop + where.y + this.dotRadius + 6) + "px";
+	this.tooltipElement.style.display = "block";
+};
+
+/**
+ * Returns whether or not the globe is spinning.
+ * 
+ * @return {boolean}
+ */
+Globe.prototype.isSpinning = function()
+{
+	return !!this.spinDegreesPerSecond;
+};
+
+/**
+ * Immediately stops any globe spinning.
+ */
+Globe.prototype.stop = function()
+{
+	this.spin();
+}
+
+/**
+ * Starts the globe spinning. The globe will continue to spin until stopped by the user or by friction.
+ *
+ * @param {number} [degreesPerSecond=0] - Positive rotates right (west to east), as the Earth spins in space. Real-time rotation would be 360/(60*60*24).
+ * @param {number} [frictionDegreesPerSecond=0] - How much the speed slows per second. Sign (+/-) does not matter.
+ */
+Globe.prototype.spin = function(degreesPerSecond, frictionDegreesPerSecond)
+{
+	"use strict";
+
+	degreesPerSecond = degreesPerSecond ? -degreesPerSecond : 0;
+	this.cancelFlight(); // Spinning, or stopping the globe to drag it, takes over
+	this.spinDegreesPerSecond = degreesPerSecond;
+	if (frictionDegreesPerSecond)
+	{
+		if (Globe.differentSign(frictionDegreesPerSecond, degreesPerSecond))
+			frictionDegreesPerSecond = -frictionDegreesPerSecond;
+		this.spinDegreesFrictionPerSecond = frictionDegreesPerSecond;
+	}
+	else
+	{
+		this.spinDegreesFrictionPerSecond = 0;
+	}
+	this.spinLastFrameUtcMs = this.clock.now();
+	this.draw();
+	if (this.spinSetCallback)
+		this.spinSetCallback(degreesPerSecond, this.spinDegreesFrictionPerSecond);
+};
+
+/**
+ * Stops any spin or flight like spin(0), but leaves the drawing to the caller.
+ */
+Globe.prototype._stopSpin = function()
+{
+	"use strict";
+	this.cancelFlight();
+	var wasSpinning = this.spinDegreesPerSecond || this.spinDegreesFrictionPerSecond;
+	this.spinDegreesPerSecond = 0;
+	this.spinDegreesFrictionPerSecond = 0;
+	if (wasSpinning && this.spinSetCallback)
+		this.spinSetCallback(0, 0);
+};
+
+/**
+ * Called by a timer for spin animation
+ */
+Globe.prototype._updateSpin = function(nowUtcMs)
+{
+	"use strict";
+	var secondsPassed = (nowUtcMs - this.spinLastFrameUtcMs) / 1000;
+
+	this.degreesRotation += this.spinDegreesPerSecond * secondsPassed;
+	if (this.spinDegreesFrictionPerSecond)
+	{
+		var thisDrag = this.spinDegreesFrictionPerSecond * secondsPassed;
+		var newSpin = this.spinDegreesPerSecond - thisDrag;
+		if (Globe.differentSign(newSpin, this.spinDegreesPerSecond))
+			this.spin(0);
+		else
+			this.spinDegreesPerSecond = newSpin;
+	}
+
+	this.degreesRotation %= 360;
+	this.spinLastFrameUtcMs = nowUtcMs;
+	//this.draw(nowUtcMs);
+};
+
+Globe.differentSign = function(a, b)
+{
+	return (a > 0) !== (b > 0);
+};
+
+Globe.prototype._handleMousedown = function(e)
+{
+	"use strict";
+	var rect = this.eventCanvas.getBoundingClientRect();
+	var x = e.clientX - rect.left;
+	var y = e.clientY - rect.top;
+	
+	if (this.getLatLong(x, y))
+	{
+		this.mouseDown = true;
+		this.mouseDownClientX = e.clientX;
+		this.mouseDownClientY = e.clientY;
+		if (this.interactive)
+		{
+			this.spin(0);
+			this._noteInteraction();
+		}
+		this._handleMousemove(e);
+	}
+};
+
+Globe.prototype._handleMousemove = function(e)
+{
+	"use strict";
+	if (this.interactive && this.mouseDown && this.mouseXlast !== null)
+	{
+		var delta = this._dragDegrees(this.mouseXlast - e.pageX, this.mouseYlast - e.pageY);
+		this._noteInteraction();
+		this.degreesRotation += delta.longitude;
+		if (delta.latitude)
+			this.degreesTilt = Math.max(-90, Math.min(90, this.degreesTilt + delta.latitude));
+		this.draw();
+	}
+	else if (!this.mouseDown)
+	{
+		var rect = this.eventCanvas.getBoundingClientRect();
+		if (this.eventHandlers.locationhover || this.tooltip)
+			this._setHoverLocation(this.getLocationAt(e.clientX - rect.left, e.clientY - rect.top), e);
+		if (this.eventHandlers.regionhover)
+			this._setHoverRegion(this.getRegionAt(e.clientX - rect.left, e.clientY - rect.top), e);
+	}
+	this.mouseXlastLast = this.mouseXlast;
+	this.mouseYlastLast = this.mouseYlast;
+	this.mouseXlastLastTimeMs = this.mouseXlastTimeMs;
+	this.mouseXlast = e.pageX;
+	this.mouseYlast = e.pageY;
+	this.mouseXlastTimeMs = this.clock.now();
+};
+
+Globe.prototype._handleMouseup = function(e)
+{
+	"use strict";
+	if (this.mouseDown)
+	{
+		this.mouseDown = false;
+		var dx = e.clientX - this.mouseDownClientX;
+		var dy = e.clientY - this.mouseDownClientY;
+		if (dx * dx + dy * dy <= 16)
+			this._handleClick(e);
+		if (this.interactive && this.mouseXlastLast !== null && this.mouseXlastLastTimeMs !== null) {
+			var msPassed = this.clock.now() - this.mouseXlastLastTimeMs;
+			var deg = -this._dragDegrees(this.mouseXlastLast - e.pageX, this.mouseYlastLast - e.pageY).longitude;
+			var degPerSec = deg / (msPassed / 1000);
+			degPerSec *= 0.35; // Not too fast.
+			if (degPerSec < -630)
+				degPerSec = -630;
+			else if (degPerSec >= 630)
+				degPerSec = 630;
+			this.spin(degPerSec, 128);
+		}
+	}
+};
+
+/**
+ * Fires the click events for a mouse or pointer release that didn’t move far enough to be a drag.
+ */
+Globe.prototype._handleClick = function(e)
+{
+	"use strict";
+	var rect = this.eventCanvas.getBoundingClientRect();
+	var x = e.clientX - rect.left;
+	var y = e.clientY - rect.top;
+	var location = this.getLocationAt(x, y);
+	var cluster = location ? null : this.getClusterAt(x, y);
+	if (cluster)
+		this._fire("clusterclick", {cluster: cluster, location: null, x: x, y: y, originalEvent: e});
+	if (location)
+	{
+		this._fire("locationclick", {location: location, x: x, y: y, originalEvent: e});
+		if (this.tooltip)
+			this._setHoverLocation(location, e); // Touch screens have no hover, so a tap shows the tooltip
+	}
+	var region = location || cluster ? null : this.getRegionAt(x, y); // Locations and clusters are drawn over regions
+	if (region)
+		this._fire("regionclick", {region: region, location: null, x: x, y: y, originalEvent: e});
+	var latLong = this.getLatLong(x, y);
+	if (latLong)
+		this._fire("globeclick", {location: location, region: region, latLong: latLong, x: x, y: y, originalEvent: e});
+};
+
+/**
+ * Ends any hovering when the mouse leaves the globe.
+ */
+Globe.prototype._handleMouseleave = function(e)
+{
+	"use strict";
+	this._setHoverLocation(null, e);
+	this._setHoverRegion(null, e);
+};
+
+/**
+ * Sets the region under the mouse, firing regionhover if it changed.
+ *
+ * @param {Region} region - The hovered region, or null for none
+ * @param {Event} [e] - The mouse or pointer event responsible
+ */
+Globe.prototype._setHoverRegion = function(region, e)
+{
+	"use strict";
+	if (region === this.hoverRegion)
+		return;
+	this.hoverRegion = region;
+	var x = null;
+	var y = null;
+	if (e && e.clientX != null)
+	{
+		var rect = this.eventCanvas.getBoundingClientRect();
+		x = e.clientX - rect.left;
+		y = e.clientY - rect.top;
+	}
+	this._fire("regionhover", {region: region, location: null, x: x, y: y, originalEvent: e});
+};
+
+/**
+ * Sets the location under the mouse, firing locationhover and updating the tooltip if it changed.
+ *
+ * @param {LatLong} location - The hovered location, or null for none
+ * @param {Event} [e] - The mouse or pointer event responsible
+ */
+Globe.prototype._setHoverLocation = function(location, e)
+{
+	"use strict";
+	if (location === this.hoverLocation)
+		return;
+	this.hoverLocation = location;
+	var where = location ? this.getXYCoordinates(location) : null;
+	this._fire("locationhover", {location: location, x: where ? where.x : null, y: where ? where.y : null, originalEvent: e});
+	if (this.tooltip)
+		this._updateTooltip();
+};
+
+/**
+ * Handles pointer events (mouse, touch or pen) by passing the primary pointer on to the mouse handlers.
+ * Every pointer is captured while it’s down, so the drag continues outside the canvas and its release is never missed.
+ * A second pointer starts a pinch, which zooms the globe instead of dragging it.
+ */
+Globe.prototype._handlePointerdown = function(e)
+{
+	"use strict";
+	this.pointers[e.pointerId] = {x: e.clientX, y: e.clientY};
+	var pinch = this._pinchInfo();
+	if (pinch)
+	{
+		this.mouseDown = false; // No drag or spin from a pinch
+		this.cancelFlight();
+		this._noteInteraction();
+		this.pinchDistance = pinch.distance;
+		this.pinchZoom = this.zoom;
+	}
+	else if (e.isPrimary)
+	{
+		this._handleMousedown(e);
+	}
+	if (e.target && e.target.setPointerCapture)
+		e.target.setPointerCapture(e.pointerId);
+};
+
+Globe.prototype._handlePointermove = function(e)
+{
+	"use strict";
+	if (this.pointers[e.pointerId])
+		this.pointers[e.pointerId] = {x: e.clientX, y: e.clientY};
+	if (this.pinchDistance !== null)
+	{
+		var pinch = this._pinchInfo();
+		if (pinch && this.interactive)
+		{
+			var rect = this.eventCanvas.getBoundingClientRect();
+			this.setZoom(this.pinchZoom * pinch.distance / this.pinchDistance, pinch.x - rect.left, pinch.y - rect.top);
+		}
+	}
+	else if (e.isPrimary)
+	{
+		this._handleMousemove(e);
+	}
+};
+
+Globe.prototype._handlePointerup = function(e)
+{
+	"use strict";
+	if (e.type === "lostpointercapture" && !this.pointers[e.pointerId])
+		return; // Already released
+	delete this.pointers[e.pointerId];
+	if (this.pinchDistance !== null)
+	{
+		if (!this._pinchInfo())
+			this.pinchDistance = null; // Dragging resumes with the next pointerdown
+		return;
+	}
+	if (!e.isPrimary)
+		return;
+	if (e.type !== "pointerup")
+	{// The browser took over the gesture, or the capture was lost, so there’s no meaningful release velocity
+		this.mouseDown = false;
+		return;
+	}
+	this._handleMouseup(e);
+};
+
+/**
+ * Returns the distance between, and the midpoint of, the first two pointers that are down (in client coordinates),
+ * or null if fewer than two pointers are down.
+ *
+ * @return {{distance:number, x:number, y:number}}
+ */
+Globe.prototype._pinchInfo = function()
+{
+	"use strict";
+	var points = [];
+	for (var id in this.pointers)
+	{
+		if (this.pointers.hasOwnProperty(id))
+			points.push(this.pointers[id]);
+	}
+	if (points.length < 2)
+		return null;
+	var dx = points[1].x - points[0].x;
+	var dy = points[1].y - points[0].y;
+	return {distance: Math.sqrt(dx * dx + dy * dy) || 1, x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2};
+};
+
+/**
+ * Zooms the globe around the mouse position with the mouse wheel.
+ */
+Globe.prototype._handleWheel = function(e)
+{
+	"use strict";
+	if (!this.interactive || !e.deltaY)
+		return;
+	var pixels = e.deltaY * (e.deltaMode === 1 ? 40 : e.deltaMode === 2 ? 800 : 1); // Lines or pages to pixels
+	var rect = this.eventCanvas.getBoundingClientRect();
+	if (e.preventDefault)
+		e.preventDefault(); // Don’t scroll the page
+	this.cancelFlight();
+	this._noteInteraction();
+	this.setZoom(this.zoom * Math.pow(2, -pixels / 500), e.clientX - rect.left, e.clientY - rect.top);
+};
+
+/**
+ * Turns the globe with the arrow keys: left and right rotate, up and down tilt. Plus and minus zoom.
+ */
+Globe.prototype._handleKeydown = function(e)
+{
+	"use strict";
+	if (!this.interactive)
+		return;
+	var key = e.key || ({37: "ArrowLeft", 38: "ArrowUp", 39: "ArrowRight", 40: "ArrowDown"})[e.keyCode];
+	var step = this.keyDegrees * this.size * this.zoom / 135; // In drag pixels, so the roll is handled the same as for dragging
+	var delta;
+	switch (key)
+	{// Like panning a map: right shows more to the east, up shows more to the north
+		case "ArrowLeft": case "Left": delta = this._dragDegrees(-step, 0); break;
+		case "ArrowRight": case "Right": delta = this._dragDegrees(step, 0); break;
+		case "ArrowUp": case "Up": delta = this._dragDegrees(0, -step); break;
+		case "ArrowDown": case "Down": delta = this._dragDegrees(0, step); break;
+		case "+": case "=": case "Add": this._noteInteraction(); this.setZoom(this.zoom * 1.25); return;
+		case "-": case "_": case "Subtract": this._noteInteraction(); this.setZoom(this.zoom / 1.25); return;
+		default: return;
+	}
+	this._noteInteraction();
+	if (e.preventDefault)
+		e.preventDefault(); // Don’t scroll the page
+	else
+		e.returnValue = false;
+	this._stopSpin();
+	this.setOrientation(this.degreesRotation + delta.longitude, this.degreesTilt + delta.latitude);
+};
+
+/**
+ * Converts a mouse movement in pixels to the change in globe rotation and tilt, taking the roll into account.
+ *
+ * @param {number} deltaX - The horizontal movement in pixels, positive for leftward movement
+ * @param {number} deltaY - The vertical movement in pixels, positive for upward movement
+ * @return {{longitude:number, latitude:number}} Degrees to add to the rotation and the tilt
+ */
+Globe.prototype._dragDegrees = function(deltaX, deltaY)
+{
+	"use strict";
+	var rollRad = (this.degreesRoll / 180) * Math.PI;
+	var cosRoll = Math.cos(rollRad);
+	var sinRoll = Math.sin(rollRad);
+	var degreesPerPixel = 135 / (this.size * this.zoom);
+	// Undo the roll so the movement is relative to the globe's own east and north
+	var globeX = deltaX * cosRoll - deltaY * sinRoll;
+	var globeY = deltaX * sinRoll + deltaY * cosRoll;
+	return {longitude: globeX * degreesPerPixel, latitude: -globeY * degreesPerPixel};
+};
+
+/**
+ * Sets the globe offsets array, preparing it for drawing.
+ */
+Globe.prototype.initialize = function()
+{
+	"use strict";
+	this.lambertImageWidth = (this.lambertImage && (this.lambertImage.naturalWidth || this.lambertImage.width)) || 768;
+	this.lambertImageHeight = (this.lambertImage && (this.lambertImage.naturalHeight || this.lambertImage.height)) || 256;
+	var pixResult = Globe.getPixels(this.lambertImage, this.lambertImageWidth, this.lambertImageHeight, this.createCanvas);
+	this.lambertImagePixels = pixResult.data;
+	this.usedImage = pixResult.image;
+	this.textureProjection = this.usedImage !== this.lambertImage ? "lambert" : this.projection; // The clip-art fallback is drawn as a Lambert projection
+	this.sourceRowTable = this._sourceRowTable();
+	if (this.nightImage && (this.nightImage.naturalWidth || this.nightImage.width))
+	{
+		var nightResult = Globe.getPixels(this.nightImage, null, null, this.createCanvas);
+		this.nightImagePixels = nightResult.image === this.nightImage ? nightResult.data : null; // No clip-art for the night
+	}
+	this._layout();
+};
+
+/**
+ * Recalculates everything that depends on the drawn size of the globe: the offsets, the globe pixels with their
+ * alpha values, and the shading. Called on initialization and whenever the zoom changes.
+ */
+Globe.prototype._layout = function()
+{
+	"use strict";
+	this.calcOffsets();
+	var renderWidth = this.renderWidth;
+	var renderHeight = this.renderHeight;
+	this.globePixels = this.g ? this.g.createImageData(renderWidth, renderHeight) :
+		{width: renderWidth, height: renderHeight, data: new Uint8ClampedArray(renderWidth * renderHeight * 4)};
+	var gPixelsData = this.globePixels.data;
+	// Stamp alpha
+	var ratio = this.pixelRatio;
+	var maxDist = (this.size * this.zoom / 2) * ratio;
+	var xCenter = (this.xOffset + this.size / 2) * ratio - this.renderLeft;
+	var yCenter = (this.yOffset + this.size / 2) * ratio - this.renderTop;
+	var supersampled = this.quality === "supersampled";
+	for (var y = 0; y < renderHeight; ++y)
+	{
+		var yDistSquared = y - yCenter;
+		yDistSquared *= yDistSquared;
+		var offsetRow = this.offsets[y];
+		var offset = y * renderWidth * 4 + 3;
+		for (var x = 0; x < renderWidth; ++x)
+		{
+			if (isNaN(offsetRow[x]))
+			{
+				gPixelsData[offset] = 0;
+			}
+			else
+			{
+				var xDist = x - xCenter;
+				var dist = Math.sqrt(yDistSquared + xDist*xDist);
+				if (supersampled && dist > maxDist - 1.5)
+				{// Anti-aliased border from the part of the pixel covered by the globe
+					gPixelsData[offset] = Globe.circleCoverage(xDist, y - yCenter, maxDist) * 255;
+				}
+				else if (dist > maxDist - 1)
+				{// Anti-aliased border
+					var fade = 1 - (dist - (maxDist - 1));
+					gPixelsData[offset] = fade * 255;
+				}
+				else
+				{// Fully opaque
+					gPixelsData[offset] = 255;
+				}
+			}
+			offset += 4;
+		}
+	}
+	// A smaller globe doesn’t cover the previous one
+	if (this.g)
+		this.g.clearRect(0, 0, this.canvas.width, this.canvas.height);
+	else
+		this.pixelTarget.data.fill(0);
+
+	this._updateShading();
+};
+
+/**
+ * Returns the fraction (0 to 1) of a pixel inside a circle, by testing a 4 by 4 grid of points in the pixel.
+ *
+ * @param {number} xDist - The horizontal distance of the pixel from the center of the circle
+ * @param {number} yDist - The vertical distance of the pixel from the center of the circle
+ * @param {number} radius - The radius of the circle
+ * @return {number}
+ */
+Globe.circleCoverage = function(xDist, yDist, radius)
+{
+	"use strict";
+	var inside = 0;
+	var radiusSquared = radius * radius;
+	for (var sampleY = -0.375; sampleY < 0.5; sampleY += 0.25)
+	{
+		for (var sampleX = -0.375; sampleX < 0.5; sampleX += 0.25)
+		{
+			var dx = xDist + sampleX;
+			var dy = yDist + sampleY;
+			if (dx * dx + dy * dy <= radiusSquared)
+				++inside;
+		}
+	}
+	return inside / 16;
+};
+
+/**
+ * Redraws the shading canvas. With sunlight, the highlight follows the sun, so this is called for every frame.
+ *
+ * @param {number} [nowUtcMs] - The result of (new Date()).getTime()
+ */
+Globe.prototype._updateShading = function(nowUtcMs)
+{
+	"use strict";
+	if (!this.canvasShading)
+		return;
+	var spot;
+	if (this.sunlight)
+	{
+		var sun = this.getXYCoordinates(this.getSunLatLong(nowUtcMs));
+		spot = sun.foreground ? sun : null;
+	}
+	this.canvasShading.getContext("2d").clearRect(0, 0, this.canvasShading.width, this.canvasShading.height);
+	this._drawShading(this.canvasShading, this.xOffset + this.size / 2, this.yOffset + this.size / 2, this.size * this.zoom / 2, spot);
+};
+
+/**
+ * The supported texture projections. Each converts the sine of a latitude to a y-coordinate on an image of the given height.
+ * All of them map longitude linearly to x, with -180° at the left edge and 180° at the right edge.
+ */
+Globe.projections = {
+	lambert: function(sinLatitude, imageHeight)
+	{
+		return ((1 - sinLatitude) / 2) * imageHeight;
+	},
+	equirectangular: function(sinLatitude, imageHeight)
+	{
+		return LatLong.latitudeToY_equirectangular((Math.asin(sinLatitude) / Math.PI) * 180, imageHeight);
+	},
+	mercator: function(sinLatitude, imageHeight)
+	{
+		return LatLong.latitudeToY_mercator((Math.asin(sinLatitude) / Math.PI) * 180, imageHeight);
+	}
+};
+
+/**
+ * Returns the source image row for the given sine of a latitude, using the projection of the texture.
+ *
+ * @param {number} sinLatitude - The sine of the latitude (1 at the north pole)
+ * @return {number} A whole row index within the source image
+ */
+Globe.prototype._sourceRow = function(sinLatitude)
+{
+	"use strict";
+	var row = Globe.projections[this.textureProjection](Math.max(-1, Math.min(1, sinLatitude)), this.lambertImageHeight) >> 0;
+	if (row >= this.lambertImageHeight)
+		return this.lambertImageHeight - 1;
+	return row < 0 ? 0 : row;
+};
+
+/**
+ * The number of steps from -1 to 1 in the table of source rows for sines of latitudes. Fine enough that
+ * equirectangular textures keep their last row at the poles.
+ */
+Globe.SOURCE_ROW_STEPS = 65536;
+
+/**
+ * Returns a lookup table of the source image rows (see _sourceRow) for sines of latitudes from -1 to 1,
+ * so drawing needn’t call the projection for every pixel.
+ *
+ * @return {Int32Array} The row for sine s is at index round((s + 1) * SOURCE_ROW_STEPS / 2)
+ */
+Globe.prototype._sourceRowTable = function()
+{
+	"use strict";
+	var steps = Globe.SOURCE_ROW_STEPS;
+	var table = new Int32Array(steps + 1);
+	for (var i = 0; i <= steps; ++i)
+		table[i] = this._sourceRow((i * 2) / steps - 1);
+	return table;
+};
+
+/**
+ * Populates internal variables with information about draw offsets for rendering the 3D globe.
+ * (Populates: offsets, offsetRowsStarts, offsetRowsLengths, offsetRowsSources, and the render rectangle:
+ * renderLeft, renderTop, renderWidth and renderHeight)
+ */
+Globe.prototype.calcOffsets = function()
+{
+	"use strict";
+	// The 3D globe is drawn on a pure 2D canvas without any 3D libraries by precalculating pixel offsets.
+	// Since the flat source image is a grid of pixels, and the rendered globe image is a grid of pixels, then we
+	// can draw from one to the other by translating pixels.
+	//     That’s what this does. For each horizontal strip of render pixel locations, source pixels locations
+	// are calculated. Drawing the globe at a different rotation just means an additional horizonal offset in the.
+	// source pixels. Then I can draw the globe using pixel data bytes, copying from one array of bytes to another.
+	//     Alpha values (every fourth byte) are only written once at initialization.
+	//     When zoomed in, the globe is bigger than the canvas, so only the part of it on the canvas is calculated.
+	//     TODO: Consider pre-calculating only a quadrant instead of the whole globe? 
+	//     Everything here is in device pixels, pixelRatio times the CSS pixels used by the rest of the globe.
+	var imageWidth = this.lambertImageWidth;
+	var ratio = this.pixelRatio;
+	var radius = (this.size * this.zoom / 2) * ratio;
+	var xCenter = (this.xOffset + this.size / 2) * ratio;
+	var yCenter = (this.yOffset + this.size / 2) * ratio;
+	// Supersampling anti-aliases the edge from coverage, so it also needs the pixels that the edge only clips
+	var reach = radius + (this.quality === "supersampled" ? Math.SQRT1_2 : 0);
+	var left = Math.max(0, Math.floor(xCenter - reach));
+	var top = Math.max(0, Math.floor(yCenter - reach));
+	var renderWidth = Math.min(this.canvas.width, Math.ceil(xCenter + reach)) - left;
+	var renderHeight = Math.min(this.canvas.height, Math.ceil(yCenter + reach)) - top;
+	var yx = [];
+	var rowStarts = [];
+	var rowLengths = [];
+	var rowSources = [];
+	var imageWidthHalf = imageWidth/2;
+	for (var y = 0; y < renderHeight; ++y)
+	{
+		var yDist = yCenter - (top + y);
+		var viewY = Math.max(-1, Math.min(1, yDist / radius)); // 1 at the top of the globe, -1 at the bottom
+		rowSources[y] = this._sourceRow(viewY);
+		var xMult = Math.sqrt(1 - viewY * viewY); // Half the width of this row, relative to the radius
+		var xReachSquared = reach * reach - yDist * yDist;
+
+		var hasDrawn = false;
+		var row = [];
+		var preDrawCount = 0;
+		var drawCount = 0;
+		for (var x = 0; x < renderWidth; ++x)
+		{
+			var xDist = xCenter - (left + x);
+			var imageXoffset = NaN;
+			if (xDist * xDist <= xReachSquared)
+			{// Pixels just outside the edge take their offsets from the edge
+				var xPos1toNeg1 = Math.max(-1, Math.min(1, (xDist / radius) / xMult || 0));
+				var xRadiansZeroToPi = Math.acos(xPos1toNeg1);
+				imageXoffset = (xRadiansZeroToPi / Math.PI) * imageWidthHalf;
+			}
+			row[x] = imageXoffset;
+			if (isNaN(imageXoffset))
+			{
+				if (!hasDrawn)
+					++preDrawCount;
+			}
+			else
+			{
+				hasDrawn = true;
+				++drawCount;
+			}
+		}
+		yx[y] = row;
+		rowStarts[y] = preDrawCount;
+		rowLengths[y] = drawCount;
+	}
+	this.offsets = yx;
+	this.offsetRowsStarts = rowStarts;
+	this.offsetRowsLengths = rowLengths;
+	this.offsetRowsSources = rowSources;
+	this.renderLeft = left;
+	this.renderTop = top;
+	this.renderWidth = renderWidth;
+	this.renderHeight = renderHeight;
+};
+
+/**
+ * Creates a canvas element of the given size. Replaced with options.createCanvas where there’s no document.
+ *
+ * @param {number} width - The width in pixels
+ * @param {number} height - The height in pixels
+ * @return {HTMLCanvasElement}
+ */
+Globe.createCanvas = function(width, height)
+{
+	"use strict";
+	if (typeof document === "undefined")
+		throw "options.createCanvas is needed where there’s no document";
+	var canvas = document.createElement("canvas");
+	canvas.width = width;
+	canvas.height = height;
+	return canvas;
+};
+
+/**
+ * Copies pixels from one ImageData-like object to another, like putImageData() without a canvas.
+ *
+ * @param {ImageData} source - The pixels to copy
+ * @param {ImageData} target - The pixels to copy them into
+ * @param {number} left - Where the left edge of the source goes in the target
+ * @param {number} top - Where the top edge of the source goes in the target
+ */
+Globe.copyPixels = function(source, target, left, top)
+{
+	"use strict";
+	var width = Math.min(source.width, target.width - left);
+	for (var y = 0, height = Math.min(source.height, target.height - top); y < height; ++y)
+	{
+		var sourceStart = y * source.width * 4;
+		target.data.set(source.data.subarray(sourceStart, sourceStart + width * 4), ((top + y) * target.width + left) * 4);
+	}
+};
+
+/**
+ * Extracts the ImageData from the given image (or on failure, creates ImageData (pixel bytes) from crude vector data)
+ *
+ * @param {Image|object} [image] - The image from which to extract ImageData. An ImageData-like object ({width, height, data}) is used as is.
+ * @param {number} [fallbackWidth=256] - The horizontal resolution if we fall back to a generated image
+ * @param {number} [fallbackHeight=128] - The vertical resolution if we fall back to a generated image
+ * @param {function} [createCanvas=Globe.createCanvas] - Creates a canvas from a width and height
+ * @return {{image:object, data:ImageData}}
+ */
+Globe.getPixels = function(image, fallbackWidth, fallbackHeight, createCanvas)
+{
+	"use strict";
+	var width;
+	var height;
+	createCanvas = createCanvas || Globe.createCanvas;
+	if (image && image.data && !image.getContext)
+		return {image: image, data: image};
+	if (image)
+	{
+		width = image.naturalWidth || image.width;
+		height = image.naturalHeight || image.height;
+		try
+		{
+			var canvas1 = createCanvas(width, height);
+			var context1 = canvas1.getContext("2d");
+			context1.drawImage(image, 0, 0, width, height);
+			return {image: image, data: context1.getImageData(0, 0, width, height)};
+		}
+		catch (err)
+		{
+			if (console) {
+				if (console.error)
+					console.error(err);
+				if (console.warn)
+					console.warn("Could not load image, falling back to vector art");
+			}
+		}
+	}
+	else
+	{
+		width = fallbackWidth || 256;
+		height = fallbackHeight || 128;
+	}
+	var context2 = createCanvas === Globe.createCanvas && typeof document === "undefined" ?
+		new Globe.PixelContext(width, height) : // Drawing the clip-art needs no canvas
+		createCanvas(width, height).getContext("2d");
+	Globe.drawCrudeWorld(context2, width, height);
+	return {image: context2.canvas, data: context2.getImageData(0, 0, width, height)};
+};
+
+/**
+ * Constructs a drawing context that draws straight into ImageData, with just the part of CanvasRenderingContext2D
+ * that drawCrudeWorld() uses: solid hex colors, fillRect(), and filled paths of straight lines (nonzero winding).
+ * A pixel is filled when its center is inside the shape, so there’s no anti-aliasing.
+ *
+ * @param {number} width - The width in pixels
+ * @param {number} height - The height in pixels
+ * @constructor
+ */
+Globe.PixelContext = function(width, height)
+{
+	"use strict";
+	this.canvas = {width: width, height: height};
+	this.imageData = {width: width, height: height, data: new Uint8ClampedArray(width * height * 4)};
+	this.fillStyle = "#000";
+	this.polygons = []; // The current path
+};
+
+Globe.PixelContext.prototype.beginPath = function()
+{
+	this.polygons = [];
+};
+
+Globe.PixelContext.prototype.moveTo = function(x, y)
+{
+	this.polygons.push([{x: x, y: y}]);
+};
+
+Globe.PixelContext.prototype.lineTo = function(x, y)
+{
+	if (!this.polygons.length)
+		this.moveTo(x, y);
+	else
+		this.polygons[this.polygons.length - 1].push({x: x, y: y});
+};
+
+Globe.PixelContext.prototype.closePath = function()
+{
+	// Filling always closes the polygons
+};
+
+/**
+ * Fills the pixels whose centers are in a rectangle.
+ */
+Globe.PixelContext.prototype.fillRect = function(x, y, width, height)
+{
+	"use strict";
+	var top = Math.max(0, Math.ceil(y - 0.5));
+	var bottom = Math.min(this.canvas.height, Math.ceil(y + height - 0.5));
+	for (var row = top; row < bottom; ++row)
+		this._fillSpan(row, x, x + width);
+};
+
+/**
+ * Fills the pixels whose centers are inside the current path, by the nonzero winding rule.
+ */
+Globe.PixelContext.prototype.fill = function()
+{
+	"use strict";
+	var polygons = this.polygons;
+	for (var row = 0; row < this.canvas.height; ++row)
+	{
+		var y = row + 0.5;
+		var crossings = []; // Where the edges cross this row, each with +1 going down or -1 going up
+		for (var p = 0; p < polygons.length; ++p)
+		{
+			var points = polygons[p];
+			for (var i = 0; i < points.length; ++i)
+			{
+				var from = points[i];
+				var to = points[(i + 1) % points.length];
+				if ((from.y <= y) !== (to.y <= y))
+					crossings.push({x: from.x + (y - from.y) * (to.x - from.x) / (to.y - from.y), winding: to.y > from.y ? 1 : -1});
+			}
+		}
+		crossings.sort(function(a, b) { return a.x - b.x; });
+		var winding = 0;
+		for (i = 0; i < crossings.length; ++i)
+		{
+			if (winding)
+				this._fillSpan(row, crossings[i - 1].x, crossings[i].x);
+			winding += crossings[i].winding;
+		}
+	}
+};
+
+/**
+ * Fills the pixels in a row whose centers are from left up to right.
+ */
+Globe.PixelContext.prototype._fillSpan = function(row, left, right)
+{
+	"use strict";
+	var hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(this.fillStyle);
+	if (!hex)
+		throw "Only hex colors can be drawn without a canvas: " + this.fillStyle;
+	var digits = hex[1].length === 3 ? hex[1].replace(/(.)/g, "$1$1") : hex[1];
+	var value = parseInt(digits, 16);
+	var data = this.imageData.data;
+	var start = Math.max(0, Math.ceil(left - 0.5));
+	var afterEnd = Math.min(this.canvas.width, Math.ceil(right - 0.5));
+	for (var x = start, index = (row * this.canvas.width + start) * 4; x < afterEnd; ++x, index += 4)
+	{
+		data[index] = value >> 16;
+		data[index + 1] = (value >> 8) & 255;
+		data[index + 2] = value & 255;
+		data[index + 3] = 255;
+	}
+};
+
+/**
+ * Returns the pixels. Only the whole image is available.
+ *
+ * @return {ImageData}
+ */
+Globe.PixelContext.prototype.getImageData = function()
+{
+	return this.imageData;
+};
+
+/**
+ * Draws a clip-art style map on the given context. Use as a fallback when an image is not available.
+ *
+ * @param {CanvasRenderingContext2D} context - The 2D canvas context on which to draw
+ * @param {number} scaleX - The draw width in pixels
+ * @param {number} scaleY - The draw height in pixels
+ */
+Globe.drawCrudeWorld = function(context, scaleX, scaleY)
+{
+	"use strict";
+	// Format: polygons are separated by pipe characters. Each polygon has a CSS color (without the #) followed by a comma,
+	// followed by pairs of coordinates. The first pair of coordinates is a full byte for x and a byte for y showing the starting position
+	// in 256×256 space (to be scaled to the actual drawing area). Following coordinates are a nybble per x and a nybble per y
+	// showing relative offsets of -8 to 7 within the 256×256 space. For example, the polygon "282,d87292777a" is:
+	// color #282 (same as #228822),
+	// and the coordinates on a 256×256 grid are:
+	// "d872" = 216, 114;  "92" = 216+1, 114-6 = 217, 108;  "77" = 217-1, 108-1 = 216, 107;  "7a" = 216-1, 107+2 = 215, 108.
+
+	var textData = "282,0a09b949c95a7afb3ce5a5a9c7eacfbcab7f9fafab9dafaf996070afbf9f9cdfa7adba9fbd95ac8f6f7f8faf9f9ecf8f8f7f8f7f7f8f7fafca72a27696939894b683a7b09194c4909284a090735457756782636468407646675f776a639075588490697c6a518192b5aa95b99a9f967093b28595b584a69ac586598468b7c67dc975778443636a66367c9b6a9b6984474567a5c49bc756b6b86bfbc303085a58186528197a090718|282,781bb78578|282,7c1dc7965387667aad|282,700cb9a638|282,444eb7bd795578|282,4c57b87568|282,9fb598929091737d6b8f7d|282,fac9ac988c7a|282,f7dca4934d8b|282,d1c6807081a5b592b29a9584baa78fad9292af8fadbf9f7f7f4f45726a72584c685a|282,e6d39c94|282,e329b765|282,dc3d7595b5b4939b7c8b5a6a|282,b96c8d7884|282,8dc7736080608090708160808367634c577a4160709270a0b092a4b8d4b89b8bbbbc94a7dbb79077586873b5b7c9965486688b556e9a6a77799b6b6075558abe7b7552776a677b7b7c4b658680d99454b6c3a784989cb8c785a8867686a55a6a7c6c636965b5f3f7faa94ac7f5f8d876c79d84d7e7f7faf8f9d8c6fbf8e9c8b88b7b3a297c4f81d269676a39483ccba87f737d5f695e9f6a837676588ba96caf7f6f3e7e7694776fae9f5f507b8fae9f8fae7cec8a376262606097be70738070787883605a5f6d8f7e7a60708065505856767954856abf8ba7969caa6f4f3f777060706179af9f9fafafc68d7f6f6f6f7f8f9f8f4f9f7c6c8d5f6a78|282,ce866194c095ac6c9c7d7f|282,e494a4bd638563437a5479bf|282,d87292777a|282,d5579c7d73|282,d6497e74|282,d48b80a68f75|282,d66aa46a|ccc,6010d2f6b7b3260908083bf8dbaf|ccc,3e04f7e608|ccc,a706c658|ccc,00fcf8f8f7f7f8f8f8f877b7f9f8b7b6e4b76c8dfaf8f8f5f6f8f8f8f8f8f6c6fac9a9f5f8f7f8e9c7f9f9f9caf81bf8e98a0908080807090808080808080808080808080808080808080808080808080818|038,a2318272a6997aad8f69|038,9684988379|038,452a989778|038,3f22b59a79|038,42288b778496b799897c86788678";
+
+	var polys = textData.split("|");
+	var polysCount = polys.length;
+	context.fillStyle = "#038";
+	context.fillRect(0, 0, scaleX, scaleY);
+	scaleX /= 255.0;
+	scaleY /= 255.0;
+	for (var index = 0; index < polysCount && index < 999; ++index)
+	{
+		var colorAndPoints = polys[index].split(',');
+		context.fillStyle = "#" + colorAndPoints[0];
+		var points = colorAndPoints[1];
+		var pointCount = (points.length-2) / 2;
+		if (pointCount > 2)
+		{
+			context.beginPath();
+
+			var x = parseInt(points.substr(0, 2), 16) * scaleX;
+			var y = parseInt(points.substr(2, 2), 16) * scaleY;
+			context.moveTo(x, y);
+			for (var pindex =1; pindex < pointCount; ++pindex)
+			{
+				x += (parseInt(points.substr((pindex + 1) * 2, 1), 16)- 8) * scaleX;
+				y += (parseInt(points.substr((pindex + 1) * 2 + 1, 1), 16) - 8) * scaleY;
+				context.lineTo(x, y);
+			}
+			context.closePath();
+			context.fill();
+		}
+	}
+};
+
+/**
+ * A true mathematical modulus
+ */
+Globe.mod = function(val, n)
+{
+	"use strict";
+	return ((val % n) + n) % n;
+};
+
+/**
+ * Fills a circle on the canvas
+ * 
+ * @param {CanvasRenderingContext2D} context - The 2D graphics context of the canvas
+ * @param {number} x - The x coordinate of the circle center
+ * @param {number} y - The y coordinate of the circle center
+ * @param {number} radius - The radius of the circle
+ * @param {string} [color] - The CSS color to use
+ */
+Globe.fillCircle = function(context, x, y, radius, color)
+{
+	"use strict";
+	var oldColor;
+	if (color)
+	{
+		oldColor = context.fillStyle;
+		context.fillStyle = color;
+	}
+	context.beginPath();
+	context.arc(x, y, radius, 0, Math.PI*2, true);
+	context.closePath();
+	context.fill();
+	if (color)
+		context.fillStyle = oldColor;
+};
+
+/**
+ * Draws the globe. Called automatically when the globe spins or locations are added or removed.
+ * 
+ * @param {number} [nowUtcMs] - The result of (new Date()).getTime()
+ */
+Globe.prototype.draw = function(nowUtcMs)
+{
+	"use strict";
+	// The final globe has multiple layers:
+	// • The bottommost canvas is for locations partially behind the globe
+	// • The globe itself is a canvas rendered with byte operations on ImageData objects
+	// • The shading on the globe is drawn on a canvas over the globe
+	// • The topmost canvas of for locations in front of the globe
+	
+	if (this.destroyed)
+		return;
+
+	// If awaiting an inage load, try again in a moment
+	if ((this.lambertImage && this.lambertImage.complete === false) || (this.nightImage && this.nightImage.complete === false)) {
+		var self = this;
+		if (!this.imageWaitTimer)
+			this.imageWaitTimer = this.clock.setTimer(function() {self.imageWaitTimer=0; self.draw();}, 100);
+		return;
+	};
+
+	// A snapshot draws the last frame again, without moving anything on
+	var still = this.drawingSnapshot;
+	nowUtcMs = still ? this.lastDrawUtcMs : nowUtcMs || this.clock.now();
+	this.lastDrawUtcMs = nowUtcMs;
+
+	// Update spin position
+	if (this.spinDegreesPerSecond && !still)
+		this._updateSpin(nowUtcMs);
+	if (this.flight && !still)
+		this._updateFlight(nowUtcMs);
+
+	// Initialize offsets if needed
+	if (this.offsets === null)
+		this.initialize();
+
+	// Draw the 3D globe
+	this.draw3d(nowUtcMs);
+	if (this.sunlight)
+		this._updateShading(nowUtcMs);
+
+	// Draw routes and locations on the overlay and underlay layers
+	if (this.gOver)
+	{
+		this._clearOverlays();
+		this.drawRegions();
+		this.drawCircles();
+		this.drawGraticule();
+		this.drawRoutes(nowUtcMs);
+		this.drawLocations(nowUtcMs);
+	}
+	if (still)
+		return;
+	if (this.displayCanvas)
+		this._composite(this.displayCanvas.getContext("2d"));
+
+	if (this.playback && this.playback.playing)
+		this._updatePlayback();
+	if (((this.locationsAnimating && !this.playback) || this.spinDegreesPerSecond || this.routesAnimating || this.flight || (this.playback && this.playback.playing)) && !this.animFrameRequest) {
+		var self = this;
+		this.animFrameRequest = this.clock.requestFrame(function() {self.animFrameRequest=0; self.draw();});
+	}
+	if (this.locationTimer)
+		this.clock.clearTimer(this.locationTimer);
+	this.locationTimer = 0;
+	if (this.locationsChangeUtcMs !== null && !this.playback && !this.animFrameRequest) {
+		var self = this; // Capped, as timers can’t wait longer than about 24 days
+		this.locationTimer = this.clock.setTimer(function() {self.locationTimer=0; self.draw();}, Math.min(this.locationsChangeUtcMs - nowUtcMs, 0x7fffffff));
+	}
+	if (this.sunlight && this.sunTime === null && !this.animFrameRequest && !this.sunTimer) {
+		var self = this; // The sun moves a quarter of a degree a minute, so redraw each minute in real time mode
+		this.sunTimer = this.clock.setTimer(function() {self.sunTimer=0; self.draw();}, 60000);
+	}
+};
+
+/**
+ * Draws the 3D part of the globe (without shading)
+ *
+ * @param {number} [nowUtcMs] - The result of (new Date()).getTime(), used for sunlight in real time mode
+ */
+Globe.prototype.draw3d = function(nowUtcMs)
+{
+	if (this.quality !== "nearest")
+		this._draw3dFiltered();
+	else if (this._isTilted())
+		this._draw3dTilted();
+	else
+		this._draw3dUntilted();
+	if (this.sunlight)
+		this._applySunlight(nowUtcMs);
+	if (this.heatmap)
+		this._applyHeatmap();
+	if (this.g)
+		this.g.putImageData(this.globePixels, this.renderLeft, this.renderTop);
+	else
+		Globe.copyPixels(this.globePixels, this.pixelTarget, this.renderLeft, this.renderTop);
+};
+
+/**
+ * Fills the globe pixels from the texture when the globe isn’t tilted or rolled.
+ */
+Globe.prototype._draw3dUntilted = function()
+{
+	// What’s going on here? We’re drawing a 3D globe by copying bytes at pre-calculated offsets
+	// from one ImageData to another. See the comments in the calcOffsets() functions for more details.
+	var renderWidth = this.renderWidth;
+	var gPixelsData = this.globePixels.data;
+
+	var lambImageWidth = this.lambertImageWidth;
+	var xStart = lambImageWidth / 2 + ((this.degreesRotation + 270) / 360) * lambImageWidth;
+	xStart = Globe.mod(xStart, lambImageWidth);
+	var globeByteOffset = 0;
+
+	var lambImagePixData = this.lambertImagePixels.data;
+	var rowStarts = this.offsetRowsStarts;
+	var rowLengths = this.offsetRowsLengths;
+	var rowSources = this.offsetRowsSources; // Source image rows, already adjusted for the projection and image height
+	var offs = this.offsets;
+
+	for (var y = 0, renderHeight = this.renderHeight; y < renderHeight; ++y)
+	{
+		var thisStart = rowStarts[y];
+		var thisAfterEnd = thisStart + rowLengths[y];
+		globeByteOffset = (y * renderWidth + thisStart) * 4;
+		var offsetRow =offs[y];
+		var yByteOffset = rowSources[y] * lambImageWidth;
+		for (var x = thisStart; x < thisAfterEnd; ++x)
+		{
+			var offset = ((xStart + offsetRow[x]) % lambImageWidth) >> 0;
+			var sourceByteIndex = (yByteOffset + offset) * 4;
+			gPixelsData[globeByteOffset] = lambImagePixData[sourceByteIndex];
+			gPixelsData[globeByteOffset+1] = lambImagePixData[sourceByteIndex+1];
+			gPixelsData[globeByteOffset+2] = lambImagePixData[sourceByteIndex+2];
+			globeByteOffset += 4;
+		}//…for x
+	}//…for y
+};
+
+/**
+ * Fills the globe pixels from the texture when the globe is tilted or rolled.
+ * The horizontal offsets from calcOffsets() no longer apply, so each pixel is traced back to a latitude and longitude.
+ */
+Globe.prototype._draw3dTilted = function()
+{
+	"use strict";
+	var renderWidth = this.renderWidth;
+	var gPixelsData = this.globePixels.data;
+
+	var lambImageWidth = this.lambertImageWidth;
+	var lambImagePixData = this.lambertImagePixels.data;
+	var rowStarts = this.offsetRowsStarts;
+	var rowLengths = this.offsetRowsLengths;
+
+	var tiltRad = (this.degreesTilt / 180) * Math.PI;
+	var rollRad = (this.degreesRoll / 180) * Math.PI;
+	var cosTilt = Math.cos(tiltRad);
+	var sinTilt = Math.sin(tiltRad);
+	var cosRoll = Math.cos(rollRad);
+	var sinRoll = Math.sin(rollRad);
+	var sourceXcenter = lambImageWidth / 2 + (this.degreesRotation / 360) * lambImageWidth;
+	var xPerRadian = lambImageWidth / (Math.PI * 2);
+	var rowTable = this.sourceRowTable;
+	var halfSteps = Globe.SOURCE_ROW_STEPS / 2;
+	var ratio = this.pixelRatio; // The globe pixels are device pixels
+	var radius = (this.size * this.zoom / 2) * ratio;
+	var xCenter = (this.xOffset + this.size / 2) * ratio - this.renderLeft;
+	var yCenter = (this.yOffset + this.size / 2) * ratio - this.renderTop;
+
+	for (var y = 0, renderHeight = this.renderHeight; y < renderHeight; ++y)
+	{
+		var thisStart = rowStarts[y];
+		var thisAfterEnd = thisStart + rowLengths[y];
+		var globeByteOffset = (y * renderWidth + thisStart) * 4;
+		var viewY = (yCenter - y) / radius;
+		for (var x = thisStart; x < thisAfterEnd; ++x)
+		{
+			// Same as _fromView(), inlined for speed
+			var viewX = (x - xCenter) / radius;
+			var viewZsquared = 1 - viewX * viewX - viewY * viewY;
+			var viewZ = viewZsquared > 0 ? Math.sqrt(viewZsquared) : 0;
+			var unrolledX = viewX * cosRoll + viewY * sinRoll;
+			var unrolledY = viewY * cosRoll - viewX * sinRoll;
+			var sphereY = unrolledY * cosTilt + viewZ * sinTilt;
+			var sphereZ = viewZ * cosTilt - unrolledY * sinTilt;
+
+			var sourceX = Globe.mod(sourceXcenter + Math.atan2(unrolledX, sphereZ) * xPerRadian, lambImageWidth) >> 0;
+			var sourceY = rowTable[((sphereY < -1 ? -1 : sphereY > 1 ? 1 : sphereY) + 1) * halfSteps + 0.5 >> 0];
+			var sourceByteIndex = (sourceY * lambImageWidth + sourceX) * 4;
+			gPixelsData[globeByteOffset] = lambImagePixData[sourceByteIndex];
+			gPixelsData[globeByteOffset+1] = lambImagePixData[sourceByteIndex+1];
+			gPixelsData[globeByteOffset+2] = lambImagePixData[sourceByteIndex+2];
+			globeByteOffset += 4;
+		}//…for x
+	}//…for y
+};
+
+/**
+ * Fills the globe pixels from the texture with bilinear filtering, and for the supersampled quality,
+ * averages four filtered samples for each pixel. Works for any orientation.
+ */
+Globe.prototype._draw3dFiltered = function()
+{
+	"use strict";
+	var renderWidth = this.renderWidth;
+	var gPixelsData = this.globePixels.data;
+
+	var lambImageWidth = this.lambertImageWidth;
+	var lambImageHeight = this.lambertImageHeight;
+	var lambImagePixData = this.lambertImagePixels.data;
+	var rowStarts = this.offsetRowsStarts;
+	var rowLengths = this.offsetRowsLengths;
+	var projection = Globe.projections[this.textureProjection];
+
+	var tiltRad = (this.degreesTilt / 180) * Math.PI;
+	var rollRad = (this.degreesRoll / 180) * Math.PI;
+	var cosTilt = Math.cos(tiltRad);
+	var sinTilt = Math.sin(tiltRad);
+	var cosRoll = Math.cos(rollRad);
+	var sinRoll = Math.sin(rollRad);
+	var sourceXcenter = lambImageWidth / 2 + (this.degreesRotation / 360) * lambImageWidth;
+	var xPerRadian = lambImageWidth / (Math.PI * 2);
+	var ratio = this.pixelRatio; // The globe pixels are device pixels
+	var radius = (this.size * this.zoom / 2) * ratio;
+	var xCenter = (this.xOffset + this.size / 2) * ratio - this.renderLeft;
+	var yCenter = (this.yOffset + this.size / 2) * ratio - this.renderTop;
+	var steps = this.quality === "supersampled" ? 2 : 1; // Samples across and down each pixel
+
+	for (var y = 0, renderHeight = this.renderHeight; y < renderHeight; ++y)
+	{
+		var thisStart = rowStarts[y];
+		var thisAfterEnd = thisStart + rowLengths[y];
+		var globeByteOffset = (y * renderWidth + thisStart) * 4;
+		for (var x = thisStart; x < thisAfterEnd; ++x, globeByteOffset += 4)
+		{
+			var red = 0, green = 0, blue = 0;
+			for (var sampleY = 0; sampleY < steps; ++sampleY)
+			{
+				var viewY = (yCenter - (y + (sampleY + 0.5) / steps - 0.5)) / radius;
+				for (var sampleX = 0; sampleX < steps; ++sampleX)
+				{
+					// Same as _fromView(), inlined for speed
+					var viewX = (x + (sampleX + 0.5) / steps - 0.5 - xCenter) / radius;
+					var edgeY = viewY;
+					var viewZsquared = 1 - viewX * viewX - viewY * viewY;
+					if (viewZsquared < 0)
+					{// Off the edge of the globe, so take the color at the nearest point on the edge
+						var edgeScale = 1 / Math.sqrt(1 - viewZsquared);
+						viewX *= edgeScale;
+						edgeY *= edgeScale;
+					}
+					var viewZ = viewZsquared > 0 ? Math.sqrt(viewZsquared) : 0;
+					var unrolledX = viewX * cosRoll + edgeY * sinRoll;
+					var unrolledY = edgeY * cosRoll - viewX * sinRoll;
+					var sphereY = unrolledY * cosTilt + viewZ * sinTilt;
+					var sphereZ = viewZ * cosTilt - unrolledY * sinTilt;
+
+					// Blend the four texture pixels around the sample, wrapping around horizontally
+					var sourceX = sourceXcenter + Math.atan2(unrolledX, sphereZ) * xPerRadian - 0.5;
+					var sourceY = projection(Math.max(-1, Math.min(1, sphereY)), lambImageHeight) - 0.5;
+					sourceY = Math.max(0, Math.min(lambImageHeight - 1, sourceY));
+					var x0 = Math.floor(sourceX);
+					var y0 = Math.floor(sourceY);
+					var xFraction = sourceX - x0;
+					var yFraction = sourceY - y0;
+					x0 = Globe.mod(x0, lambImageWidth);
+					var x1 = x0 + 1 < lambImageWidth ? x0 + 1 : 0;
+					var y1 = y0 + 1 < lambImageHeight ? y0 + 1 : y0;
+					var index00 = (y0 * lambImageWidth + x0) * 4;
+					var index01 = (y0 * lambImageWidth + x1) * 4;
+					var index10 = (y1 * lambImageWidth + x0) * 4;
+					var index11 = (y1 * lambImageWidth + x1) * 4;
+					var weight00 = (1 - xFraction) * (1 - yFraction);
+					var weight01 = xFraction * (1 - yFraction);
+					var weight10 = (1 - xFraction) * yFraction;
+					var weight11 = xFraction * yFraction;
+					red += lambImagePixData[index00] * weight00 + lambImagePixData[index01] * weight01 + lambImagePixData[index10] * weight10 + lambImagePixData[index11] * weight11;
+					green += lambImagePixData[index00+1] * weight00 + lambImagePixData[index01+1] * weight01 + lambImagePixData[index10+1] * weight10 + lambImagePixData[index11+1] * weight11;
+					blue += lambImagePixData[index00+2] * weight00 + lambImagePixData[index01+2] * weight01 + lambImagePixData[index10+2] * weight10 + lambImagePixData[index11+2] * weight11;
+				}
+			}
+			gPixelsData[globeByteOffset] = red / (steps * steps);
+			gPixelsData[globeByteOffset+1] = green / (steps * steps);
+			gPixelsData[globeByteOffset+2] = blue / (steps * steps);
+		}//…for x
+	}//…for y
+};
+
+/**
+ * Darkens the night side of the globe pixels, blending in the night image if there is one.
+ * The terminator fades over a twilight band a little wider than civil twilight.
+ *
+ * @param {number} [nowUtcMs] - The result of (new Date()).getTime(), used in real time mode
+ */
+Globe.prototype._applySunlight = function(nowUtcMs)
+{
+	"use strict";
+	var sun = this.getSunLatLong(nowUtcMs).toVector();
+	sun = this._worldToView(sun.x, sun.y, sun.z);
+	var renderWidth = this.renderWidth;
+	var gPixelsData = this.globePixels.data;
+	var rowStarts = this.offsetRowsStarts;
+	var rowLengths = this.offsetRowsLengths;
+	var ratio = this.pixelRatio; // The globe pixels are device pixels
+	var radius = (this.size * this.zoom / 2) * ratio;
+	var xCenter = (this.xOffset + this.size / 2) * ratio - this.renderLeft;
+	var yCenter = (this.yOffset + this.size / 2) * ratio - this.renderTop;
+	var nightBrightness = this.nightBrightness;
+	var nightPixData = this.nightImagePixels ? this.nightImagePixels.data : null;
+	var nightWidth = this.nightImagePixels ? this.nightImagePixels.width : 0;
+	var nightHeight = this.nightImagePixels ? this.nightImagePixels.height : 0;
+	var nightRows = Globe.projections[this.projection];
+	var nightXcenter = nightWidth / 2 + (this.degreesRotation / 360) * nightWidth;
+	var nightXperRadian = nightWidth / (Math.PI * 2);
+	var tiltRad = (this.degreesTilt / 180) * Math.PI;
+	var rollRad = (this.degreesRoll / 180) * Math.PI;
+	var cosTilt = Math.cos(tiltRad);
+	var sinTilt = Math.sin(tiltRad);
+	var cosRoll = Math.cos(rollRad);
+	var sinRoll = Math.sin(rollRad);
+
+	for (var y = 0, renderHeight = this.renderHeight; y < renderHeight; ++y)
+	{
+		var thisStart = rowStarts[y];
+		var thisAfterEnd = thisStart + rowLengths[y];
+		var globeByteOffset = (y * renderWidth + thisStart) * 4;
+		var viewY = (yCenter - y) / radius;
+		for (var x = thisStart; x < thisAfterEnd; ++x, globeByteOffset += 4)
+		{
+			var viewX = (x - xCenter) / radius;
+			var viewZsquared = 1 - viewX * viewX - viewY * viewY;
+			var viewZ = viewZsquared > 0 ? Math.sqrt(viewZsquared) : 0;
+			var sunCosine = viewX * sun.x + viewY * sun.y + viewZ * sun.z;
+			var daylight = (sunCosine + 0.12) / 0.17; // 1 from about 3° above the horizon, 0 from about 7° below
+			if (daylight >= 1)
+				continue;
+			if (daylight < 0)
+				daylight = 0;
+			if (nightPixData)
+			{
+				// Same as _fromView(), inlined for speed
+				var unrolledX = viewX * cosRoll + viewY * sinRoll;
+				var unrolledY = viewY * cosRoll - viewX * sinRoll;
+				var sphereY = unrolledY * cosTilt + viewZ * sinTilt;
+				var sphereZ = viewZ * cosTilt - unrolledY * sinTilt;
+				var nightX = Globe.mod(nightXcenter + Math.atan2(unrolledX, sphereZ) * nightXperRadian, nightWidth) >> 0;
+				var nightY = Math.max(0, Math.min(nightHeight - 1, nightRows(Math.max(-1, Math.min(1, sphereY)), nightHeight) >> 0));
+				var nightByteIndex = (nightY * nightWidth + nightX) * 4;
+				var night = 1 - daylight;
+				gPixelsData[globeByteOffset] = gPixelsData[globeByteOffset] * daylight + nightPixData[nightByteIndex] * night;
+				gPixelsData[globeByteOffset+1] = gPixelsData[globeByteOffset+1] * daylight + nightPixData[nightByteIndex+1] * night;
+				gPixelsData[globeByteOffset+2] = gPixelsData[globeByteOffset+2] * daylight + nightPixData[nightByteIndex+2] * night;
+			}
+			else
+			{
+				var brightness = nightBrightness + (1 - nightBrightness) * daylight;
+				gPixelsData[globeByteOffset] *= brightness;
+				gPixelsData[globeByteOffset+1] *= brightness;
+				gPixelsData[globeByteOffset+2] *= brightness;
+			}
+		}//…for x
+	}//…for y
+};
+
+/**
+ * Blends the heatmap (see setHeatmap) into the globe pixels, sampling its density grid bilinearly
+ */
+Globe.prototype._applyHeatmap = function()
+{
+	"use strict";
+	var heatmap = this.heatmap;
+	var density = heatmap.getDensity();
+	var colors = heatmap.getColorTable();
+	var rows = heatmap.rows;
+	var columns = heatmap.columns;
+	var cellsPerRadian = 180 / Math.PI / heatmap.resolution;
+	var geometry = this._getHeatmapGeometry();
+	var xStart = ((this.degreesRotation + 180) / heatmap.resolution) - 0.5; // Grid coordinates, between cell centers
+	var renderWidth = this.renderWidth;
+	var gPixelsData = this.globePixels.data;
+	var rowStarts = this.offsetRowsStarts;
+	var rowLengths = this.offsetRowsLengths;
+
+	for (var y = 0, renderHeight = this.renderHeight; y < renderHeight; ++y)
+	{
+		var thisStart = rowStarts[y];
+		var thisAfterEnd = thisStart + rowLengths[y];
+		var pixelIndex = y * renderWidth + thisStart;
+		var globeByteOffset = pixelIndex * 4;
+		for (var x = thisStart; x < thisAfterEnd; ++x, ++pixelIndex, globeByteOffset += 4)
+		{
+			var gridX = xStart + geometry[pixelIndex * 2] * cellsPerRadian;
+			var gridY = geometry[pixelIndex * 2 + 1] * cellsPerRadian - 0.5;
+			var column = Math.floor(gridX);
+			var row = Math.floor(gridY);
+			var xFraction = gridX - column;
+			var yFraction = gridY - row;
+			var left = Globe.mod(column, columns);
+			var right = (left + 1) % columns;
+			var top = Math.max(0, row) * columns;
+			var bottom = Math.min(rows - 1, row + 1) * columns;
+			var value = (density[top + left] * (1 - xFraction) + density[top + right] * xFraction) * (1 - yFraction) +
+				(density[bottom + left] * (1 - xFraction) + density[bottom + right] * xFraction) * yFraction;
+			var level = (value * 255 + 0.5) >> 0;
+			if (level <= 0)
+				continue;
+			var colorIndex = level * 4;
+			var alpha = colors[colorIndex + 3] / 255;
+			gPixelsData[globeByteOffset] += (colors[colorIndex] - gPixelsData[globeByteOffset]) * alpha;
+			gPixelsData[globeByteOffset+1] += (colors[colorIndex + 1] - gPixelsData[globeByteOffset+1]) * alpha;
+			gPixelsData[globeByteOffset+2] += (colors[colorIndex + 2] - gPixelsData[globeByteOffset+2]) * alpha;
+		}//…for x
+	}//…for y
+};
+
+/**
+ * Returns where each globe pixel is on the sphere, for _applyHeatmap(): pairs of the longitude in radians east of
+ * the longitude facing the viewer, and the angle from the north pole in radians. Spinning doesn’t change them,
+ * so they’re only recalculated when the tilt, roll, zoom or size changes.
+ *
+ * @return {Float32Array}
+ */
+Globe.prototype._getHeatmapGeometry = function()
+{
+	"use strict";
+	var key = [this.degreesTilt, this.degreesRoll, this.size, this.zoom, this.pixelRatio, this.xOffset, this.yOffset,
+		this.renderLeft, this.renderTop, this.renderWidth, this.renderHeight].join(",");
+	if (this.heatmapGeometryKey === key)
+		return this.heatmapGeometry;
+	var renderWidth = this.renderWidth;
+	var geometry = new Float32Array(renderWidth * this.renderHeight * 2);
+	var rowStarts = this.offsetRowsStarts;
+	var rowLengths = this.offsetRowsLengths;
+	var ratio = this.pixelRatio; // The globe pixels are device pixels
+	var radius = (this.size * this.zoom / 2) * ratio;
+	var xCenter = (this.xOffset + this.size / 2) * ratio - this.renderLeft;
+	var yCenter = (this.yOffset + this.size / 2) * ratio - this.renderTop;
+	for (var y = 0, renderHeight = this.renderHeight; y < renderHeight; ++y)
+	{
+		var viewY = (yCenter - y) / radius;
+		for (var x = rowStarts[y], afterEnd = x + rowLengths[y]; x < afterEnd; ++x)
+		{
+			var viewX = (x - xCenter) / radius;
+			var viewZsquared = 1 - viewX * viewX - viewY * viewY;
+			var sphere = this._fromView(viewX, viewY, viewZsquared > 0 ? Math.sqrt(viewZsquared) : 0);
+			var index = (y * renderWidth + x) * 2;
+			geometry[index] = Math.atan2(sphere.x, sphere.z);
+			geometry[index + 1] = Math.PI / 2 - Math.asin(Math.max(-1, Math.min(1, sphere.y)));
+		}
 	}
-
-	this.degreesRotation %= 360;
-	this.spinLastFrameUtcMs = nowUtcMs;
-	//this.draw(nowUtcMs);
+	this.heatmapGeometry = geometry;
+	this.heatmapGeometryKey = key;
+	return geometry;
 };
 
-Globe.differentSign = function(a, b)
+/**
+ * Clears the overlay and underlay canvases if anything was drawn on them
+ */
+Globe.prototype._clearOverlays = function()
 {
-	return (a > 0) !== (b > 0);
+	if (this.gOver && this.overDirty)
+	{
+		this.gOver.clearRect(0, 0, this.canvasOver.width, this.canvasOver.height);
+		this.overDirty = false;
+	}
+
+	if (this.gUnder && this.underDirty)
+	{
+		this.gUnder.clearRect(0, 0, this.canvasUnder.width, this.canvasUnder.height);
+		this.underDirty = false;
+	}
 };
 
-Globe.prototype._handleMousedown = function(e)
+/**
+ * Projects a path onto the canvas, splitting it into runs of points that are visible, or hidden behind the globe.
+ * Consecutive runs share their boundary point, so they join up when drawn.
+ *
+ * @param {{x:number, y:number, z:number}[]} vectors - Points along the path as vectors from the center of the Earth
+ *      (see LatLong.prototype.toVector). Points longer than 1 are above the surface, and can show beyond the globe’s outline.
+ * @return {{visible:boolean, points:{x:number, y:number}[]}[]}
+ */
+Globe.prototype._projectPath = function(vectors)
 {
 	"use strict";
-	var rect = this.canvas.getBoundingClientRect();
-	var x = e.clientX - rect.left;
-	var y = e.clientY - rect.top;
-	
-	if (this.getLatLong(x, y))
+	var radius = this.size * this.zoom / 2;
+	var xCenter = this.xOffset + this.size / 2;
+	var yCenter = this.yOffset + this.size / 2;
+	var runs = [];
+	var run = null;
+	for (var i = 0; i < vectors.length; ++i)
 	{
-		this.mouseDown = true;
-		if (this.interactive)
-			this.spin(0);
-		this._handleMousemove(e);
+		var vector = vectors[i];
+		var view = this._worldToView(vector.x, vector.y, vector.z);
+		// Hidden if behind the globe and within its outline
+		var visible = view.z >= 0 || view.x * view.x + view.y * view.y >= 1;
+		var point = {x: xCenter + view.x * radius, y: yCenter - view.y * radius};
+		if (!run || run.visible !== visible)
+		{
+			var previous = run ? run.points[run.points.length - 1] : null;
+			run = {visible: visible, points: previous ? [previous] : []};
+			runs.push(run);
+		}
+		run.points.push(point);
 	}
+	return runs;
 };
 
-Globe.prototype._handleMousemove = function(e)
+/**
+ * Draws the Region objects on the overlay, clipped to the near side of the globe.
+ */
+Globe.prototype.drawRegions = function()
 {
 	"use strict";
-	if (this.interactive && this.mouseDown && this.mouseXlast !== null)
+	var g = this.gOver || this.g;
+	this.drawnRegions = [];
+	for (var index = 0; index < this.regions.length; ++index)
 	{
-		var delta = this.mouseXlast - e.pageX;
-		delta *= 135 / this.size;
-		this.degreesRotation += delta;
-		this.draw();
+		var region = this.regions[index];
+		var rings = region.getSamples();
+		var outlines = [];
+		for (var r = 0; r < rings.length; ++r)
+		{
+			var outline = this._clipRing(rings[r]);
+			if (outline.length >= 3)
+				outlines.push(outline);
+		}
+		if (!outlines.length)
+			continue; // Entirely behind the globe
+		this.drawnRegions.push({region: region, outlines: outlines});
+		var fill = region.fill;
+		if (region.value != null && region.fillFromValue && this.regionColorScale)
+			fill = this.regionColorScale(region.value);
+		g.save();
+		if (fill)
+		{
+			g.beginPath();
+			for (r = 0; r < outlines.length; ++r)
+			{
+				outline = outlines[r];
+				g.moveTo(outline[0].x, outline[0].y);
+				for (var i = 1; i < outline.length; ++i)
+					g.lineTo(outline[i].x, outline[i].y);
+				g.closePath();
+			}
+			g.fillStyle = fill;
+			g.fill("evenodd"); // Holes are rings inside the outer ring
+		}
+		if (region.stroke)
+		{// Only the edges of the region, not where it’s cut off by the edge of the globe
+			g.beginPath();
+			for (r = 0; r < rings.length; ++r)
+			{
+				var runs = this._projectPath(rings[r]);
+				for (var u = 0; u < runs.length; ++u)
+				{
+					if (!runs[u].visible)
+						continue;
+					var points = runs[u].points;
+					g.moveTo(points[0].x, points[0].y);
+					for (var p = 1; p < points.length; ++p)
+						g.lineTo(points[p].x, points[p].y);
+				}
+			}
+			g.strokeStyle = region.stroke;
+			g.lineWidth = region.lineWidth;
+			g.stroke();
+		}
+		g.restore();
+		this.overDirty = true;
 	}
-	this.mouseXlastLast = this.mouseXlast;
-	this.mouseXlastLastTimeMs = this.mouseXlastTimeMs;
-	this.mouseXlast = e.pageX;
-	this.mouseXlastTimeMs = new Date().getTime();
 };
 
-Globe.prototype._handleMouseup = function(e)
+/**
+ * Draws the Circle objects. The parts on the near side of the globe go on the overlay, and the parts on the far side
+ * on the underlay, where they show through wherever the globe doesn’t cover them.
+ */
+Globe.prototype.drawCircles = function()
 {
 	"use strict";
-	if (this.mouseDown)
+	var facing = new LatLong(this.degreesTilt, this.degreesRotation); // The location facing the viewer
+	var sides = [{g: this.gOver || this.g, farSide: false, center: facing}];
+	if (this.gUnder)
+		sides.push({g: this.gUnder, farSide: true, center: new LatLong(-facing.latitude, facing.longitude + 180)});
+	for (var index = 0; index < this.circles.length; ++index)
 	{
-		this.mouseDown = false;
-		if (this.interactive && this.mouseXlastLast !== null && this.mouseXlastLastTimeMs !== null) {
-			var msPassed = new Date().getTime() - this.mouseXlastLastTimeMs;
-			var deg = e.pageX - this.mouseXlastLast;
-			deg *= 135 / this.size;
-			var degPerSec = deg / (msPassed / 1000);
-			degPerSec *= 0.35; // Not too fast.
-			if (degPerSec < -630)
-				degPerSec = -630;
-			else if (degPerSec >= 630)
-				degPerSec = 630;
-			this.spin(degPerSec, 128);
+		var circle = this.circles[index];
+		var rings = circle.getSamples();
+		var runsByRing = [];
+		for (var r = 0; r < rings.length; ++r)
+			runsByRing.push(this._projectPath(rings[r]));
+		for (var s = 0; s < sides.length; ++s)
+		{
+			var g = sides[s].g;
+			var drawn = false;
+			g.save();
+			if (circle.fill)
+			{
+				var outline = this._clipRing(rings[rings.length - 1], sides[s].farSide, circle.contains(sides[s].center));
+				if (outline.length >= 3)
+				{
+					g.beginPath();
+					g.moveTo(outline[0].x, outline[0].y);
+					for (var i = 1; i < outline.length; ++i)
+						g.lineTo(outline[i].x, outline[i].y);
+					g.closePath();
+					g.fillStyle = circle.fill;
+					g.fill();
+					drawn = true;
+				}
+			}
+			if (circle.stroke)
+			{
+				g.beginPath();
+				for (r = 0; r < runsByRing.length; ++r)
+				{
+					var runs = runsByRing[r];
+					for (var u = 0; u < runs.length; ++u)
+					{
+						if (runs[u].visible === sides[s].farSide)
+							continue;
+						var points = runs[u].points;
+						g.moveTo(points[0].x, points[0].y);
+						for (var p = 1; p < points.length; ++p)
+							g.lineTo(points[p].x, points[p].y);
+						drawn = true;
+					}
+				}
+				if (circle.dash && g.setLineDash)
+					g.setLineDash(circle.dash);
+				g.strokeStyle = circle.stroke;
+				g.lineWidth = circle.lineWidth;
+				g.stroke();
+			}
+			g.restore();
+			if (drawn && sides[s].farSide)
+				this.underDirty = true;
+			else if (drawn)
+				this.overDirty = true;
 		}
 	}
 };
 
 /**
- * Sets the globe offsets array, preparing it for drawing.
+ * Clips a closed ring to the near side of the globe and projects it onto the canvas. Where the ring passes behind
+ * the globe, the clipped outline follows the edge of the globe instead (taking the shorter way around, unless
+ * enclosesView says the inside lies the other way).
+ * A ring entirely behind the globe either encloses the whole near side, giving the edge of the globe as the outline,
+ * or nothing on it. Unless enclosesView says which, a ring that goes counterclockwise around the point facing the
+ * viewer (as seen from above the surface, like GeoJSON outer rings) is taken to enclose it. A ring entirely in view
+ * whose inside is the rest of the globe gives the edge of the globe with the ring cut out.
+ *
+ * @param {{x:number, y:number, z:number}[]} vectors - The closed ring, as vectors from the center of the Earth
+ * @param {boolean} [farSide] - True to clip to the far side of the globe instead
+ * @param {boolean} [enclosesView] - Whether the ring encloses the point facing the viewer (or its opposite, for farSide)
+ * @return {{x:number, y:number}[]} The outline in canvas pixels (empty if the ring is entirely behind the globe and doesn’t enclose it)
  */
-Globe.prototype.initialize = function()
+Globe.prototype._clipRing = function(vectors, farSide, enclosesView)
 {
 	"use strict";
-	var thisSize = this.size;
-	var gPixelsData = this.globePixels.data;
-	this.lambertImageWidth = (this.lambertImage && this.lambertImage.naturalWidth) || 768;
-	this.lambertImageHeight = (this.lambertImage && this.lambertImage.naturalHeight) || 256;
-	this.calcOffsets();
-	var pixResult = Globe.getPixels(this.lambertImage, this.lambertImageWidth, this.lambertImageHeight);
-	this.lambertImagePixels = pixResult.data;
-	this.usedImage = pixResult.image;
-	// Stamp alpha
-	var maxDist = thisSize / 2;
-	for (var y = 0; y < thisSize; ++y)
+	var radius = this.size * this.zoom / 2;
+	var xCenter = this.xOffset + this.size / 2;
+	var yCenter = this.yOffset + this.size / 2;
+	var count = vectors.length;
+	var views = [];
+	var start = -1;
+	for (var i = 0; i < count; ++i)
 	{
-		var yDistSquared = y - maxDist;
-		yDistSquared *= yDistSquared;
-		var offsetRow = this.offsets[y];
-		var offset = y * thisSize * 4 + 3;
-		for (var x = 0; x < thisSize; ++x)
-		{
-			if (isNaN(offsetRow[x]))
+		views[i] = this._worldToView(vectors[i].x, vectors[i].y, vectors[i].z);
+		if (farSide)
+			views[i] = {x: views[i].x, y: views[i].y, z: -views[i].z};
+		if (start < 0 && views[i].z >= 0)
+			start = i;
+	}
+	var outline = [];
+	var toCanvas = function(view) { return {x: xCenter + view.x * radius, y: yCenter - view.y * radius}; };
+	var s;
+	if (start < 0)
+	{
+		if (enclosesView === undefined)
+		{// How many times the ring winds counterclockwise around the viewing axis, as seen from the viewer
+			var turns = 0;
+			for (i = 0; i < count; ++i)
 			{
-				gPixelsData[offset] = 0;
+				var from = views[i];
+				var to = views[(i + 1) % count];
+				turns += Globe.mod(Math.atan2(to.y, to.x) - Math.atan2(from.y, from.x) + Math.PI, Math.PI * 2) - Math.PI;
 			}
-			else
-			{
-				var xDist = x - maxDist;
-				var dist = Math.sqrt(yDistSquared + xDist*xDist);
-				if (dist > maxDist - 1)
-				{// Anti-aliased border
-					var fade = 1 - (dist - (maxDist - 1));
-					gPixelsData[offset] = fade * 255;
+			turns = Math.round(turns / (Math.PI * 2));
+			// Seen from above the far side, the ring turns the other way. The z flip for farSide mirrors that again.
+			enclosesView = farSide ? turns < 0 : turns > 0;
+		}
+		if (enclosesView)
+		{
+			for (s = 0; s < 126; ++s)
+				outline.push(toCanvas({x: Math.cos(s * 0.05), y: Math.sin(s * 0.05)}));
+		}
+		return outline;
+	}
+
+	var crossings = 0;
+	var trace = function(longWay)
+	{
+		var points = [];
+		var exitAngle = null;
+		crossings = 0;
+		// Starting at a visible point, so every entry onto the near side follows an exit
+		for (var n = 1; n <= count; ++n)
+		{
+			var prev = views[(start + n - 1) % count];
+			var cur = views[(start + n) % count];
+			var prevIn = prev.z >= 0;
+			var curIn = cur.z >= 0;
+			if (prevIn !== curIn)
+			{// Crossing the edge of the globe
+				++crossings;
+				var t = prev.z / (prev.z - cur.z);
+				var edgeX = prev.x + (cur.x - prev.x) * t;
+				var edgeY = prev.y + (cur.y - prev.y) * t;
+				var angle = Math.atan2(edgeY, edgeX);
+				if (curIn)
+				{// Follow the edge from the exit point to here
+					var sweep = Globe.mod(angle - exitAngle + Math.PI, Math.PI * 2) - Math.PI;
+					if (longWay)
+						sweep -= sweep < 0 ? -Math.PI * 2 : Math.PI * 2;
+					var steps = Math.ceil(Math.abs(sweep) / 0.05);
+					for (var e = 1; e < steps; ++e)
+					{
+						var a = exitAngle + sweep * e / steps;
+						points.push(toCanvas({x: Math.cos(a), y: Math.sin(a)}));
+					}
 				}
 				else
-				{// Fully opaque
-					gPixelsData[offset] = 255;
+				{
+					exitAngle = angle;
 				}
+				points.push(toCanvas({x: Math.cos(angle), y: Math.sin(angle)}));
 			}
-			offset += 4;
+			if (curIn)
+				points.push(toCanvas(cur));
 		}
+		return points;
+	};
+	outline = trace(false);
+	if (enclosesView === undefined || Globe.isPointInOutlines(xCenter, yCenter, [outline]) === enclosesView)
+		return outline;
+	if (crossings === 2)
+		return trace(true); // The ring passes behind the globe once, so the inside follows the edge the long way round
+	if (crossings === 0)
+	{// The ring is entirely in view but its inside is everything else: the edge of the globe with the ring cut out
+		var limb = [];
+		for (s = 0; s < 126; ++s)
+			limb.push(toCanvas({x: Math.cos(s * 0.05), y: Math.sin(s * 0.05)}));
+		if ((Globe.polygonArea(limb) > 0) === (Globe.polygonArea(outline) > 0))
+			outline.reverse();
+		return limb.concat([limb[0]], outline, [outline[0], limb[0]]);
 	}
+	return outline;
 };
 
 /**
- * Populates internal variables with information about draw offsets for rendering the 3D globe.
- * (Populates: offsets, offsetRowsStarts, and offsetRowsLengths)
+ * Returns the signed area of a polygon (positive when its corners run clockwise on the canvas).
+ *
+ * @param {{x:number, y:number}[]} polygon - The corners
+ * @return {number}
  */
-Globe.prototype.calcOffsets = function()
+Globe.polygonArea = function(polygon)
 {
 	"use strict";
-	// The 3D globe is drawn on a pure 2D canvas without any 3D libraries by precalculating pixel offsets.
-	// Since the flat source image is a grid of pixels, and the rendered globe image is a grid of pixels, then we
-	// can draw from one to the other by translating pixels.
-	//     That’s what this does. For each horizontal strip of render pixel locations, source pixels locations
-	// are calculated. Drawing the globe at a different rotation just means an additional horizonal offset in the.
-	// source pixels. Then I can draw the globe using pixel data bytes, copying from one array of bytes to another.
-	//     Alpha values (every fourth byte) are only written once at initialization.
-	//     TODO: Consider pre-calculating only a quadrant instead of the whole globe? 
-	var imageWidth = this.lambertImageWidth;
-	var globeSize = this.size;
-	var yx = [];
-	var radius = globeSize / 2;
-	var radiusSquared = radius * radius;
-	var rowStarts = [];
-	var rowLengths = [];
-	for (var y = 0; y < globeSize; ++y)
+	var area = 0;
+	for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++)
+		area += polygon[j].x * polygon[i].y - polygon[i].x * polygon[j].y;
+	return area / 2;
+};
+
+/**
+ * Draws the graticule (see setGraticule) on the overlay. Only the parts on the near side of the globe are drawn.
+ */
+Globe.prototype.drawGraticule = function()
+{
+	"use strict";
+	var graticule = this.graticule;
+	var g = this.gOver || this.g;
+	if (!graticule)
+		return;
+	g.save();
+	g.lineWidth = graticule.lineWidth;
+	var labels = [];
+	for (var index = 0; index < graticule.lines.length; ++index)
 	{
-		var yDist = y - radius;
-		var xDist = Math.sqrt(radiusSquared - yDist * yDist);
-		var xIndent = radius - xDist;
-		var xMult = (radius - xIndent) / radius;
+		var line = graticule.lines[index];
+		var runs = this._projectPath(line.vectors);
+		g.strokeStyle = line.color;
+		g.beginPath();
+		for (var r = 0; r < runs.length; ++r)
+		{
+			if (!runs[r].visible)
+				continue;
+			var points = runs[r].points;
+			g.moveTo(points[0].x, points[0].y);
+			for (var p = 1; p < points.length; ++p)
+				g.lineTo(points[p].x, points[p].y);
+		}
+		g.stroke();
+		if (graticule.labels && line.labeled)
+			labels.push(line);
+	}
+	this.overDirty = true;
 
-		var hasDrawn = false;
-		var row = [];
-		var preDrawCount = 0;
-		var drawCount = 0;
-		var imageWidthHalf = imageWidth/2;
-		for (var x = 0; x < globeSize; ++x)
+	if (labels.length)
+	{
+		var radius = this.size * this.zoom / 2;
+		var xCenter = this.xOffset + this.size / 2;
+		var yCenter = this.yOffset + this.size / 2;
+		g.font = graticule.font;
+		g.textBaseline = "middle";
+		for (var i = 0; i < labels.length; ++i)
 		{
-			var xPos1toNeg1 = 1 - (x / globeSize) * 2;
-			xPos1toNeg1 /= xMult;
-			var xRadiansZeroToPi = Math.acos(xPos1toNeg1);
-			var imageXoffset = (xRadiansZeroToPi / Math.PI) * imageWidthHalf;
-			row[x] = imageXoffset;
-			if (isNaN(imageXoffset))
-			{
-				if (!hasDrawn)
-					++preDrawCount;
+			var label = labels[i];
+			var text = label.isParallel ?
+				LatLong.latOrLongToString(label.degrees, "N", "S") :
+				LatLong.latOrLongToString(LatLong.normalizeLatLong(label.degrees), "E", "W");
+			g.fillStyle = label.color;
+			if (label.isParallel)
+			{// Just outside the edge of the globe, where the visible part of the parallel ends on the right
+				var edge = this._parallelEdge(label.degrees);
+				if (!edge)
+					continue;
+				var dx = edge.x - xCenter;
+				var dy = edge.y - yCenter;
+				var dist = Math.sqrt(dx * dx + dy * dy) || 1;
+				var textWidth = g.measureText(text).width;
+				var outward = dx >= 0 ? 4 : 4 + textWidth;
+				g.fillText(text, xCenter + (dx / dist) * (radius + outward), yCenter + (dy / dist) * (radius + 4));
 			}
 			else
-			{
-				hasDrawn = true;
-				++drawCount;
+			{// Just below the equator
+				var where = this.getXYCoordinates(0, label.degrees);
+				if (where.z > 0.2)
+					g.fillText(text, where.x + 2, where.y + 7);
 			}
 		}
-		yx[y] = row;
-		rowStarts[y] = preDrawCount;
-		rowLengths[y] = drawCount;
 	}
-	this.offsets = yx;
-	this.offsetRowsStarts = rowStarts;
-	this.offsetRowsLengths = rowLengths;
+	g.restore();
 };
 
 /**
- * Extracts the ImageData from the given image (or on failure, creates ImageData (pixel bytes) from crude vector data)
+ * Returns the rightmost point where the given parallel meets the edge of the globe, or null if it doesn’t.
  *
- * @param {Image} [image] - The image from which to extract ImageData
- * @param {number} [fallbackWidth=256] - The horizontal resolution if we fall back to a generated image
- * @param {number} [fallbackHeight=128] - The vertical resolution if we fall back to a generated image
- * @return {{image:object, data:ImageData}}
+ * @param {number} latitude - The latitude of the parallel in degrees
+ * @return {{x:number, y:number}}
  */
-Globe.getPixels = function(image, fallbackWidth, fallbackHeight)
+Globe.prototype._parallelEdge = function(latitude)
 {
 	"use strict";
-	var width;
-	var height;
-	if (image)
+	// The parallel is a circle at height sin(latitude) around the polar axis. In view coordinates the polar axis is:
+	var pole = this._toView(0, 1, 0);
+	var height = Math.sin((latitude / 180) * Math.PI);
+	var circleRadius = Math.cos((latitude / 180) * Math.PI);
+	// Points on the edge have z = 0. The circle’s points are height × pole + circleRadius × (cos t × u + sin t × v),
+	// where u and v are perpendicular to the pole. Choose u in the view plane (z = 0), so z = height × pole.z + circleRadius × sin t × v.z.
+	var uLength = Math.sqrt(pole.x * pole.x + pole.y * pole.y);
+	if (uLength < 1e-9)
+		return null; // Looking straight down a pole: parallels are concentric circles that don’t meet the edge
+	var u = {x: -pole.y / uLength, y: pole.x / uLength, z: 0};
+	var v = {x: pole.y * u.z - pole.z * u.y, y: pole.z * u.x - pole.x * u.z, z: pole.x * u.y - pole.y * u.x};
+	var sinT = -(height * pole.z) / (circleRadius * v.z);
+	if (!(sinT >= -1 && sinT <= 1))
+		return null; // Entirely in front or behind
+	var cosT = Math.sqrt(1 - sinT * sinT);
+	var best = null;
+	for (var sign = -1; sign <= 1; sign += 2)
 	{
-		width = image.naturalWidth;
-		height = image.naturalHeight;
-		try
+		var x = height * pole.x + circleRadius * (sign * cosT * u.x + sinT * v.x);
+		var y = height * pole.y + circleRadius * (sign * cosT * u.y + sinT * v.y);
+		if (!best || x > best.x)
+			best = {x: x, y: y};
+	}
+	var radius = this.size * this.zoom / 2;
+	return {x: this.xOffset + this.size / 2 + best.x * radius, y: this.yOffset + this.size / 2 - best.y * radius};
+};
+
+/**
+ * Draws the Route objects. Parts of a route hidden by the globe go on the underlay, and the rest on the overlay.
+ */
+Globe.prototype.drawRoutes = function(nowUtcMs)
+{
+	"use strict";
+	var grimReaperCount = 0;
+	var animating = false;
+
+	for (var index = 0; index < this.routes.length; ++index)
+	{
+		var route = this.routes[index];
+		var alpha = 1;
+		if (route.expiration) {
+			animating = true;
+			var timeLeft = route.expiration - nowUtcMs;
+			if (timeLeft < 1000) {
+				if (timeLeft <= 0) {
+					if (!this.drawingSnapshot) {
+						route.isDead = true;
+						grimReaperCount++;
+					}
+					continue;
+				}
+				alpha = timeLeft / 1000;
+			}
+		}
+		if (route.dash && route.dashSpeed)
+			animating = true;
+
+		var runs = this._projectPath(route.getSamples());
+
+		// Draw the runs, continuing the dash pattern from one run to the next
+		var dashOffset = route.dashSpeed ? -(nowUtcMs * route.dashSpeed / 1000) : 0;
+		for (var r = 0; r < runs.length; ++r)
 		{
-			var canvas1 = document.createElement("canvas");
-			canvas1.width = width;
-			canvas1.height = height;
-			var context1 = canvas1.getContext("2d");
-			context1.drawImage(image, 0, 0, image.naturalWidth, image.naturalHeight);
-			return {image: image, data: context1.getImageData(0, 0, image.naturalWidth, image.naturalHeight)};
+			var points = runs[r].points;
+			var g = runs[r].visible ? (this.gOver || this.g) : this.gUnder;
+			var length = 0;
+			for (var p = 1; p < points.length; ++p)
+				length += Math.sqrt(Math.pow(points[p].x - points[p-1].x, 2) + Math.pow(points[p].y - points[p-1].y, 2));
+			if (g && points.length > 1)
+			{
+				g.save();
+				g.globalAlpha = alpha;
+				g.strokeStyle = route.color || this.dotColor;
+				g.lineWidth = route.width;
+				g.lineJoin = "round";
+				if (route.dash && g.setLineDash)
+				{
+					g.setLineDash(route.dash);
+					g.lineDashOffset = dashOffset;
+				}
+				g.beginPath();
+				g.moveTo(points[0].x, points[0].y);
+				for (p = 1; p < points.length; ++p)
+					g.lineTo(points[p].x, points[p].y);
+				g.stroke();
+				g.restore();
+				if (runs[r].visible)
+					this.overDirty = true;
+				else
+					this.underDirty = true;
+			}
+			dashOffset += length;
 		}
-		catch (err)
+	}//...for
+
+	// Remove any expired routes
+	if (grimReaperCount)
+	{
+		for (var d = this.routes.length-1; d >= 0; --d)
 		{
-			if (console) {
-				if (console.error)
-					console.error(err);
-				if (console.warn)
-					console.warn("Could not load image, falling back to vector art");
+			if (this.routes[d].isDead)
+				this.routes.splice(d, 1);
+		}
+	}
+	this.routesAnimating = animating;
+};
+
+/**
+ * Draws the LatLong location objects
+ */
+Globe.prototype.drawLocations = function(nowUtcMs)
+{
+	var grimReaperCount = 0;
+	var animating = false;
+	var changeUtcMs = null;
+	var labels = this.labelLayout ? [] : null;
+	this.drawnLocations = [];
+	this.drawnClusters = [];
+
+	// When clustering, the index draws everything except the timed locations, which come and go too quickly to index
+	var locations = this.locations;
+	var playbackTime = this.playback ? (this.drawingSnapshot ? this.drawnPlaybackTime : this.getPlaybackTime()) : null;
+	this.drawnPlaybackTime = playbackTime;
+	var playbackFade = this.playback ? this._playbackFade() : null;
+	if (this.clustering)
+	{
+		var locationIndex = this._getLocationIndex();
+		this._drawClusters(locationIndex, labels);
+		locations = locationIndex.expiring;
+	}
+
+	for (var index = 0; index < locations.length; ++index)
+	{
+		var geoc = locations[index];
+		var where = this.getXYCoordinates(geoc);
+
+		var color = geoc.color || this.dotColor;
+		var alpha = 1;
+		if (this.playback) {
+			// Played back locations come and go with the playhead, and are never removed
+			alpha = Globe.timedAlpha(geoc, playbackTime, playbackFade);
+			if (!alpha)
+				continue;
+		}
+		else if (geoc.expiration && geoc.expiration <= nowUtcMs) {
+			if (!this.drawingSnapshot) {
+				geoc.isDead = true;
+				grimReaperCount++;
+			}
+			continue;
+		}
+		else if (Globe.isTimed(geoc)) {
+			// Only fading needs a frame each time. Otherwise, wait for the next fade to start.
+			var fadeIn = geoc.start == null ? null : geoc.start;
+			var fadeOut = geoc.expiration ? geoc.expiration - 1000 : null;
+			if ((fadeIn !== null && fadeIn <= nowUtcMs && nowUtcMs < fadeIn + 1000) || (fadeOut !== null && fadeOut <= nowUtcMs))
+				animating = true;
+			var change = fadeIn !== null && fadeIn > nowUtcMs ? fadeIn : fadeOut !== null && fadeOut > nowUtcMs ? fadeOut : null;
+			if (change !== null && (changeUtcMs === null || change < changeUtcMs))
+				changeUtcMs = change;
+			alpha = Globe.timedAlpha(geoc, nowUtcMs, 1000);
+			if (!alpha)
+				continue;
+		}
+		if (where.foreground)
+		{
+			var bounds = this._drawLocation(this.gOver || this.g, geoc, where, color, alpha, labels);
+			this.drawnLocations.push({location: geoc, x: bounds.x, y: bounds.y, radius: bounds.radius});
+			this.overDirty = true;
+		}
+		else if (this.gUnder && !this.clustering)
+		{
+			this._drawLocation(this.gUnder, geoc, where, color, alpha);
+			this.underDirty = true;
+		}
+	}//...for
+	this.locationsAnimating = animating;
+	this.locationsChangeUtcMs = changeUtcMs;
+	if (labels)
+		this._layoutLabels(this.gOver || this.g, labels);
+
+	// Remove any expired locations
+	if (grimReaperCount)
+	{
+		var remaining = grimReaperCount;
+		for (var i = this.locations.length-1; remaining && i >= 0; --i)
+		{
+			var loc = this.locations[i];
+			if (loc.isDead) {
+				--remaining;
+				this.locations.splice(i, 1);
+			}
+		}
+		this.expireLocCount -= grimReaperCount;
+		this._locationsChanged();
+	}
+
+	// Keep the hovered location in step with the drawing
+	if (this.hoverLocation)
+	{
+		var stillDrawn = false;
+		for (var d = 0; d < this.drawnLocations.length && !stillDrawn; ++d)
+			stillDrawn = this.drawnLocations[d].location === this.hoverLocation;
+		if (!stillDrawn)
+			this._setHoverLocation(null);
+		else if (this.tooltip)
+			this._updateTooltip();
+	}
+
+	// Ring the highlighted location (see startTour)
+	if (this.highlightLocation)
+	{
+		for (d = 0; d < this.drawnLocations.length; ++d)
+		{
+			var drawn = this.drawnLocations[d];
+			if (drawn.location === this.highlightLocation)
+			{
+				var gOver = this.gOver || this.g;
+				gOver.globalAlpha = 1;
+				gOver.strokeStyle = drawn.location.color || this.dotColor;
+				gOver.lineWidth = 2;
+				gOver.beginPath();
+				gOver.arc(drawn.x, drawn.y, drawn.radius + 5, 0, Math.PI * 2);
+				gOver.stroke();
+				this.overDirty = true;
 			}
 		}
+		if (this.tooltipElement && !this.hoverLocation)
+			this._updateTooltip();
+	}
+	if (this.gOver)
+		this.gOver.globalAlpha = 1;
+	if (this.gUnder)
+		this.gUnder.globalAlpha = 1;
+};
+
+/**
+ * Draws the dot and label of a single location
+ *
+ * @param {CanvasRenderingContext2D} g - The context to draw on
+ * @param {LatLong} geoc - The location
+ * @param {object} where - The location’s coordinates from getXYCoordinates()
+ * @param {string} color - The CSS color of the dot and label
+ * @param {number} alpha - The opacity (0 to 1)
+ * @param {object[]} [labels] - If given, the label is added to this array for _layoutLabels() instead of being drawn
+ */
+Globe.prototype._drawLocation = function(g, geoc, where, color, alpha, labels)
+{
+	g.globalAlpha = alpha * (geoc.opacity == null ? 1 : geoc.opacity);
+	var bounds = this._drawMarker(g, geoc, where, color);
+	if (geoc.description)
+	{
+		var font = geoc.font || this.labelFont;
+		var metrics = Globe.measureLabel(g, geoc.description, font);
+		var height = metrics.ascent + metrics.descent;
+		var clearance = height + bounds.radius - this.dotRadius; // Labels clear bigger markers
+		var textX = bounds.x + ((where.xRel/2 - 0.5) * metrics.width);
+		var textY = where.y < this.yOffset + this.size / 2 ? bounds.y - clearance : bounds.y + clearance;
+		textY += this.textShiftDown * height;
+		if (where.foreground && this.labelFadeDepth > 0)
+			alpha *= Math.min(1, where.z / this.labelFadeDepth); // Fade out toward the horizon
+		var label = {location: geoc, text: geoc.description, font: font, color: color, alpha: alpha,
+			dotX: bounds.x, dotY: bounds.y, dotRadius: bounds.radius, width: metrics.width, ascent: metrics.ascent, descent: metrics.descent,
+			left: textX, top: textY - metrics.ascent};
+		if (labels)
+			labels.push(label);
+		else
+			this._drawLabel(g, label, false);
 	}
-	else
+	return bounds;
+};
+
+/**
+ * The built-in marker shapes. Each draws a path for a marker at x, y (the location) with a radius, and returns the
+ * circle that holds it, as {x, y, radius}.
+ */
+Globe.markerShapes = {
+	circle: function(g, x, y, radius)
 	{
-		width = fallbackWidth || 256;
-		height = fallbackHeight || 128;
+		g.arc(x, y, radius, 0, Math.PI * 2, true);
+		return {x: x, y: y, radius: radius};
+	},
+	square: function(g, x, y, radius)
+	{
+		g.rect(x - radius, y - radius, radius * 2, radius * 2);
+		return {x: x, y: y, radius: radius * Math.SQRT2};
+	},
+	triangle: function(g, x, y, radius)
+	{// Pointing up, with the location at its center
+		var halfBase = radius * 1.15;
+		g.moveTo(x, y - radius * 1.3);
+		g.lineTo(x + halfBase, y + radius * 0.7);
+		g.lineTo(x - halfBase, y + radius * 0.7);
+		return {x: x, y: y, radius: radius * 1.3};
+	},
+	pin: function(g, x, y, radius)
+	{// A round head above a point at the location
+		var headY = y - radius * 2;
+		var sideAngle = Math.acos(0.5); // Where the sides meet the head, tangent to it from the point
+		g.moveTo(x, y);
+		g.arc(x, headY, radius, Math.PI / 2 + sideAngle, Math.PI / 2 - sideAngle, false);
+		return {x: x, y: y - radius * 1.5, radius: radius * 1.5};
 	}
-	var canvas2 = document.createElement("canvas");
-	canvas2.width = width;
-	canvas2.height = height;
-	var context2 = canvas2.getContext("2d");
-	Globe.drawCrudeWorld(context2, width, height);
-	return {image: canvas2, data: context2.getImageData(0, 0, width, height)};
 };
 
 /**
- * Draws a clip-art style map on the given context. Use as a fallback when an image is not available.
+ * Returns the radius of a location’s marker: its own radius, or a size from its value (see setMarkerSizeScale),
+ * or the standard dot radius.
  *
- * @param {CanvasRenderingContext2D} context - The 2D canvas context on which to draw
- * @param {number} scaleX - The draw width in pixels
- * @param {number} scaleY - The draw height in pixels
+ * @param {LatLong} latLong - The location
+ * @return {number} The radius in pixels
  */
-Globe.drawCrudeWorld = function(context, scaleX, scaleY)
+Globe.prototype.getMarkerRadius = function(latLong)
 {
 	"use strict";
-	// Format: polygons are separated by pipe characters. Each polygon has a CSS color (without the #) followed by a comma,
-	// followed by pairs of coordinates. The first pair of coordinates is a full byte for x and a byte for y showing the starting position
-	// in 256×256 space (to be scaled to the actual drawing area). Following coordinates are a nybble per x and a nybble per y
-	// showing relative offsets of -8 to 7 within the 256×256 space. For example, the polygon "282,d87292777a" is:
-	// color #282 (same as #228822),
-	// and the coordinates on a 256×256 grid are:
-	// "d872" = 216, 114;  "92" = 216+1, 114-6 = 217, 108;  "77" = 217-1, 108-1 = 216, 107;  "7a" = 216-1, 107+2 = 215, 108.
-
-	var textData = "282,0a09b949c95a7afb3ce5a5a9c7eacfbcab7f9fafab9dafaf996070afbf9f9cdfa7adba9fbd95ac8f6f7f8faf9f9ecf8f8f7f8f7f7f8f7fafca72a27696939894b683a7b09194c4909284a090735457756782636468407646675f776a639075588490697c6a518192b5aa95b99a9f967093b28595b584a69ac586598468b7c67dc975778443636a66367c9b6a9b6984474567a5c49bc756b6b86bfbc303085a58186528197a090718|282,781bb78578|282,7c1dc7965387667aad|282,700cb9a638|282,444eb7bd795578|282,4c57b87568|282,9fb598929091737d6b8f7d|282,fac9ac988c7a|282,f7dca4934d8b|282,d1c6807081a5b592b29a9584baa78fad9292af8fadbf9f7f7f4f45726a72584c685a|282,e6d39c94|282,e329b765|282,dc3d7595b5b4939b7c8b5a6a|282,b96c8d7884|282,8dc7736080608090708160808367634c577a4160709270a0b092a4b8d4b89b8bbbbc94a7dbb79077586873b5b7c9965486688b556e9a6a77799b6b6075558abe7b7552776a677b7b7c4b658680d99454b6c3a784989cb8c785a8867686a55a6a7c6c636965b5f3f7faa94ac7f5f8d876c79d84d7e7f7faf8f9d8c6fbf8e9c8b88b7b3a297c4f81d269676a39483ccba87f737d5f695e9f6a837676588ba96caf7f6f3e7e7694776fae9f5f507b8fae9f8fae7cec8a376262606097be70738070787883605a5f6d8f7e7a60708065505856767954856abf8ba7969caa6f4f3f777060706179af9f9fafafc68d7f6f6f6f7f8f9f8f4f9f7c6c8d5f6a78|282,ce866194c095ac6c9c7d7f|282,e494a4bd638563437a5479bf|282,d87292777a|282,d5579c7d73|282,d6497e74|282,d48b80a68f75|282,d66aa46a|ccc,6010d2f6b7b3260908083bf8dbaf|ccc,3e04f7e608|ccc,a706c658|ccc,00fcf8f8f7f7f8f8f8f877b7f9f8b7b6e4b76c8dfaf8f8f5f6f8f8f8f8f8f6c6fac9a9f5f8f7f8e9c7f9f9f9caf81bf8e98a0908080807090808080808080808080808080808080808080808080808080818|038,a2318272a6997aad8f69|038,9684988379|038,452a989778|038,3f22b59a79|038,42288b778496b799897c86788678";
+	if (latLong.radius != null)
+		return latLong.radius;
+	if (latLong.value != null && this.markerSizeScale)
+		return this.markerSizeScale(latLong.value);
+	return this.dotRadius;
+};
 
-	var polys = textData.split("|");
-	var polysCount = polys.length;
-	context.fillStyle = "#038";
-	context.fillRect(0, 0, scaleX, scaleY);
-	scaleX /= 255.0;
-	scaleY /= 255.0;
-	for (var index = 0; index < polysCount && index < 999; ++index)
+/**
+ * Draws the marker of a single location: with its renderer if it has one (or the globe has one), or its icon
+ * once the icon has loaded, or else its shape.
+ *
+ * @param {CanvasRenderingContext2D} g - The context to draw on, with the global alpha set
+ * @param {LatLong} latLong - The location
+ * @param {object} where - The location’s coordinates from getXYCoordinates()
+ * @param {string} color - The CSS fill color
+ * @return {{x:number, y:number, radius:number}} The circle holding the marker, for hit testing and label placement
+ */
+Globe.prototype._drawMarker = function(g, latLong, where, color)
+{
+	"use strict";
+	var radius = this.getMarkerRadius(latLong);
+	var renderer = latLong.renderer || this.markerRenderer;
+	if (renderer)
 	{
-		var colorAndPoints = polys[index].split(',');
-		context.fillStyle = "#" + colorAndPoints[0];
-		var points = colorAndPoints[1];
-		var pointCount = (points.length-2) / 2;
-		if (pointCount > 2)
-		{
-			context.beginPath();
+		g.save();
+		var drawn = renderer(g, {x: where.x, y: where.y, radius: radius, color: color, location: latLong, foreground: where.foreground});
+		g.restore();
+		return drawn || {x: where.x, y: where.y, radius: radius};
+	}
 
-			var x = parseInt(points.substr(0, 2), 16) * scaleX;
-			var y = parseInt(points.substr(2, 2), 16) * scaleY;
-			context.moveTo(x, y);
-			for (var pindex =1; pindex < pointCount; ++pindex)
-			{
-				x += (parseInt(points.substr((pindex + 1) * 2, 1), 16)- 8) * scaleX;
-				y += (parseInt(points.substr((pindex + 1) * 2 + 1, 1), 16) - 8) * scaleY;
-				context.lineTo(x, y);
-			}
-			context.closePath();
-			context.fill();
+	var icon = latLong.icon;
+	if (icon && icon.complete !== false && (icon.naturalWidth || icon.width))
+	{// Its own size, unless the location’s size is set
+		var width = icon.naturalWidth || icon.width;
+		var height = icon.naturalHeight || icon.height;
+		if (latLong.radius != null || (latLong.value != null && this.markerSizeScale))
+		{
+			var scale = (radius * 2) / Math.max(width, height);
+			width *= scale;
+			height *= scale;
 		}
+		g.drawImage(icon, where.x - width / 2, where.y - height / 2, width, height);
+		return {x: where.x, y: where.y, radius: Math.max(width, height) / 2};
 	}
+	if (icon && icon.complete === false && this.pendingIcons.indexOf(icon) < 0)
+	{// Use the shape until the icon loads
+		var self = this;
+		this.pendingIcons.push(icon);
+		this._listen(icon, "load", function() {
+			self.pendingIcons.splice(self.pendingIcons.indexOf(icon), 1);
+			if (!self.destroyed)
+				self.draw();
+		});
+	}
+
+	var shape = Globe.markerShapes[latLong.shape || this.markerShape];
+	if (!shape)
+		throw "Unknown marker shape: " + latLong.shape;
+	var oldColor = g.fillStyle;
+	g.beginPath();
+	var bounds = shape(g, where.x, where.y, radius);
+	g.closePath();
+	g.fillStyle = color;
+	g.fill();
+	g.fillStyle = oldColor;
+	if (latLong.stroke)
+	{
+		g.strokeStyle = latLong.stroke;
+		g.lineWidth = latLong.lineWidth || 1;
+		g.stroke();
+	}
+	return bounds;
 };
 
 /**
- * A true mathematical modulus
+ * Returns the width, and the ascent and descent above and below the baseline, of a label in a CSS font.
+ * The font’s own ascent and descent are used where the browser reports them, so labels line up whatever their letters.
+ *
+ * @param {CanvasRenderingContext2D} g - The context to measure with (its font is changed)
+ * @param {string} text - The label text
+ * @param {string} font - The CSS font
+ * @return {{width:number, ascent:number, descent:number}}
  */
-Globe.mod = function(val, n)
+Globe.measureLabel = function(g, text, font)
 {
 	"use strict";
-	return ((val % n) + n) % n;
+	g.font = font;
+	var metrics = g.measureText(text);
+	var pixelSize = /(\d+(?:\.\d+)?)px/.exec(font);
+	var fontSize = pixelSize ? parseFloat(pixelSize[1]) : 10;
+	var ascent = metrics.fontBoundingBoxAscent || metrics.actualBoundingBoxAscent || fontSize * 0.8;
+	var descent = metrics.fontBoundingBoxDescent || metrics.actualBoundingBoxDescent || fontSize * 0.2;
+	return {width: metrics.width, ascent: ascent, descent: descent};
 };
 
 /**
- * Fills a circle on the canvas
- * 
- * @param {CanvasRenderingContext2D} context - The 2D graphics context of the canvas
- * @param {number} x - The x coordinate of the circle center
- * @param {number} y - The y coordinate of the circle center
- * @param {number} radius - The radius of the circle
- * @param {string} [color] - The CSS color to use
+ * Draws a label from _drawLocation(), with a line back to its dot if it was moved away from it.
  */
-Globe.fillCircle = function(context, x, y, radius, color)
+Globe.prototype._drawLabel = function(g, label, leader)
 {
 	"use strict";
-	var oldColor;
-	if (color)
+	g.globalAlpha = label.alpha;
+	g.font = label.font;
+	g.fillStyle = label.color;
+	g.fillText(label.text, label.left, label.top + label.ascent);
+	if (leader)
 	{
-		oldColor = context.fillStyle;
-		context.fillStyle = color;
+		// From the edge of the dot to the nearest point of the label
+		var toX = Math.max(label.left, Math.min(label.left + label.width, label.dotX));
+		var toY = Math.max(label.top, Math.min(label.top + label.ascent + label.descent, label.dotY));
+		var dx = toX - label.dotX;
+		var dy = toY - label.dotY;
+		var length = Math.sqrt(dx * dx + dy * dy) || 1;
+		g.strokeStyle = label.color;
+		g.lineWidth = 1;
+		g.beginPath();
+		g.moveTo(label.dotX + (dx / length) * label.dotRadius, label.dotY + (dy / length) * label.dotRadius);
+		g.lineTo(toX, toY);
+		g.stroke();
 	}
-	context.beginPath();
-	context.arc(x, y, radius, 0, Math.PI*2, true);
-	context.closePath();
-	context.fill();
-	if (color)
-		context.fillStyle = oldColor;
 };
 
 /**
- * Draws the globe. Called automatically when the globe spins or locations are added or removed.
- * 
- * @param {number} [nowUtcMs] - The result of (new Date()).getTime()
+ * Places and draws the labels of the foreground locations so they don’t overlap each other, the dots or the cluster bubbles.
+ * Labels are placed in order of their location’s labelPriority (then in the order they were drawn).
+ * Each label goes in the first free spot of: its usual place, right, left, above and below its dot,
+ * then farther away with a leader line. A label with no free spot isn’t drawn.
+ *
+ * @param {CanvasRenderingContext2D} g - The context to draw on
+ * @param {object[]} labels - The labels collected by _drawLocation()
  */
-Globe.prototype.draw = function(nowUtcMs)
+Globe.prototype._layoutLabels = function(g, labels)
 {
 	"use strict";
-	// The final globe has multiple layers:
-	// • The bottommost canvas is for locations partially behind the globe
-	// • The globe itself is a canvas rendered with byte operations on ImageData objects
-	// • The shading on the globe is drawn on a canvas over the globe
-	// • The topmost canvas of for locations in front of the globe
-	
-	// If awaiting an inage load, try again in a moment
-	if (this.lambertImage && !this.lambertImage.complete) {
-		var self = this;
-		setTimeout(function() {self.draw();}, 100);
-		return;
+	var bucketSize = 32;
+	var buckets = {};
+	var eachBucket = function(box, callback)
+	{
+		for (var bx = Math.floor(box.left / bucketSize); bx <= Math.floor(box.right / bucketSize); ++bx)
+		{
+			for (var by = Math.floor(box.top / bucketSize); by <= Math.floor(box.bottom / bucketSize); ++by)
+			{
+				if (callback(bx + "," + by) === false)
+					return false;
+			}
+		}
+		return true;
+	};
+	var occupy = function(box)
+	{
+		eachBucket(box, function(key) { (buckets[key] = buckets[key] || []).push(box); });
+	};
+	var isFree = function(box)
+	{
+		return eachBucket(box, function(key)
+		{
+			var bucket = buckets[key];
+			for (var b = 0; bucket && b < bucket.length; ++b)
+			{
+				var other = bucket[b];
+				if (other.owner !== box.owner && box.left < other.right && other.left < box.right && box.top < other.bottom && other.top < box.bottom)
+					return false;
+			}
+		});
 	};
 
-	// Update spin position
-	nowUtcMs = nowUtcMs ||  (new Date()).getTime();
-	if (this.spinDegreesPerSecond)
-		this._updateSpin(nowUtcMs);
+	// Dots and bubbles are obstacles
+	var i;
+	for (i = 0; i < this.drawnLocations.length; ++i)
+	{
+		var dot = this.drawnLocations[i];
+		occupy({owner: dot.location, left: dot.x - dot.radius, top: dot.y - dot.radius, right: dot.x + dot.radius, bottom: dot.y + dot.radius});
+	}
+	for (i = 0; i < this.drawnClusters.length; ++i)
+	{
+		var cluster = this.drawnClusters[i];
+		occupy({owner: cluster, left: cluster.x - cluster.radius, top: cluster.y - cluster.radius, right: cluster.x + cluster.radius, bottom: cluster.y + cluster.radius});
+	}
 
-	// Initialize offsets if needed
-	if (this.offsets === null)
-		this.initialize();
+	for (i = 0; i < labels.length; ++i)
+		labels[i].order = i;
+	labels.sort(function(a, b) { return (b.location.labelPriority || 0) - (a.location.labelPriority || 0) || a.order - b.order; });
 
-	// Draw the 3D globe
-	this.draw3d();
+	for (i = 0; i < labels.length; ++i)
+	{
+		var label = labels[i];
+		if (label.alpha <= 0)
+			continue;
+		var gap = label.dotRadius + 2;
+		var width = label.width;
+		var height = label.ascent + label.descent;
+		var x = label.dotX;
+		var y = label.dotY;
+		var candidates = [
+			[label.left, label.top],
+			[x + gap, y - height / 2],
+			[x - gap - width, y - height / 2],
+			[x - width / 2, y - gap - height],
+			[x - width / 2, y + gap]
+		];
+		var nearCount = candidates.length;
+		for (var distance = gap + height; distance <= gap + height * 3; distance += height)
+		{
+			candidates.push([x - width / 2, y - distance - height]);
+			candidates.push([x - width / 2, y + distance]);
+			candidates.push([x + distance, y - height / 2]);
+			candidates.push([x - distance - width, y - height / 2]);
+		}
+		for (var c = 0; c < candidates.length; ++c)
+		{
+			var box = {owner: label.location, left: candidates[c][0], top: candidates[c][1], right: candidates[c][0] + width, bottom: candidates[c][1] + height};
+			if (isFree(box))
+			{
+				occupy(box);
+				label.left = box.left;
+				label.top = box.top;
+				this._drawLabel(g, label, c >= nearCount);
+				break;
+			}
+		}
+	}
+};
 
-	// Draw locations on the overlay and underlay layers
-	this.drawLocations(nowUtcMs);
+/**
+ * The cell sizes in degrees of the location index levels, from finest to coarsest. Each cell is split into four at the next finer level.
+ */
+Globe.CLUSTER_CELL_DEGREES = [0.25, 0.5, 1, 2, 4, 8, 16, 32];
 
-	if ((this.expireLocCount || this.spinDegreesPerSecond) && !this.animFrameRequest) {
-		var self = this;
-		this.animFrameRequest = requestAnimationFrame(function() {self.animFrameRequest=0; self.draw();});
+/**
+ * Turns clustering of the foreground locations on or off. When on, locations close together on screen are drawn
+ * as a single bubble showing how many there are, and the bubbles split apart as the globe turns or zooms in.
+ * Locations are found through a spatial index, so only the cells on the near side of the globe are visited.
+ * Timed locations (with an expiration or start time) are drawn individually. Locations on the far side of the globe
+ * aren’t drawn on the underlay while clustering is on.
+ *
+ * If the latitude or longitude of a location changes, call setLocations() (or setClustering() again) to update the index.
+ *
+ * @param {object|boolean} options - Clustering options (or true for the defaults), or false to turn clustering off
+ *      @param {number} [options.radius=24] - Locations closer than this many pixels are clustered together
+ *      @param {string} [options.color="rgba(200,40,40,0.85)"] - The CSS color of the bubbles
+ *      @param {string} [options.textColor="#fff"] - The CSS color of the counts
+ *      @param {string} [options.font="bold 11px sans-serif"] - The CSS font of the counts
+ */
+Globe.prototype.setClustering = function(options)
+{
+	"use strict";
+	if (!options)
+	{
+		this.clustering = null;
+	}
+	else
+	{
+		options = options === true ? {} : options;
+		this.clustering = {
+			radius: options.radius || 24,
+			color: options.color || "rgba(200,40,40,0.85)",
+			textColor: options.textColor || "#fff",
+			font: options.font || "bold 11px sans-serif"
+		};
 	}
+	this.locationIndex = null;
+	this.draw();
 };
 
 /**
- * Draws the 3D part of the globe (without shading)
+ * Returns the spatial index of the locations, building it if the locations have changed. Each level of the index
+ * is a map of cells by "row,col" key, where each cell has its locations and the sum of their vectors.
+ *
+ * @return {{levels:object[], expiring:LatLong[]}} The index, and the timed locations left out of it
  */
-Globe.prototype.draw3d = function()
+Globe.prototype._getLocationIndex = function()
 {
-	// What’s going on here? We’re drawing a 3D globe by copying bytes at pre-calculated offsets
-	// from one ImageData to another. See the comments in the calcOffsets() functions for more details.
-	var thisSize = this.size;
-	var gPixelsData = this.globePixels.data;
-
-	var lambImageWidth = this.lambertImageWidth;
-	var lambHeightAdjust = this.lambertImageHeight / thisSize; // Adjust if globe not exactly image size
-	var xStart = lambImageWidth / 2 + ((this.degreesRotation + 270) / 360) * lambImageWidth;
-	xStart = Globe.mod(xStart, lambImageWidth);
-	var globeByteOffset = 0;
-
-	var lambImagePixData = this.lambertImagePixels.data;
-	var rowStarts = this.offsetRowsStarts;
-	var rowLengths = this.offsetRowsLengths;
-	var offs = this.offsets;
-
-	for (var y = 0; y < thisSize; ++y)
+	"use strict";
+	if (this.locationIndex)
+		return this.locationIndex;
+	var levels = [];
+	var cellDegrees = Globe.CLUSTER_CELL_DEGREES;
+	for (var level = 0; level < cellDegrees.length; ++level)
+		levels.push({});
+	var expiring = [];
+	for (var i = 0; i < this.locations.length; ++i)
 	{
-		var thisStart = rowStarts[y];
-		var thisAfterEnd = thisStart + rowLengths[y];
-		globeByteOffset = (y * thisSize + thisStart) * 4;
-		var offsetRow =offs[y];
-		var yByteOffset = ((y * lambHeightAdjust) >> 0) * lambImageWidth;
-		for (var x = thisStart; x < thisAfterEnd; ++x)
+		var latLong = this.locations[i];
+		if (Globe.isTimed(latLong))
 		{
-			var offset = ((xStart + offsetRow[x]) % lambImageWidth) >> 0;
-			var sourceByteIndex = (yByteOffset + offset) * 4;
-			gPixelsData[globeByteOffset] = lambImagePixData[sourceByteIndex];
-			gPixelsData[globeByteOffset+1] = lambImagePixData[sourceByteIndex+1];
-			gPixelsData[globeByteOffset+2] = lambImagePixData[sourceByteIndex+2];
-			globeByteOffset += 4;
-		}//…for x
-	}//…for y
-	this.g.putImageData(this.globePixels, this.xOffset, this.yOffset);
+			expiring.push(latLong);
+			continue;
+		}
+		var vector = latLong.toVector();
+		var latitude = Math.max(-90, Math.min(90, LatLong.normalizeLatLong(latLong.latitude)));
+		var longitude = Globe.mod(LatLong.normalizeLatLong(latLong.longitude) + 180, 360);
+		for (level = 0; level < cellDegrees.length; ++level)
+		{
+			var row = Math.floor((latitude + 90) / cellDegrees[level]);
+			var col = Math.floor(longitude / cellDegrees[level]);
+			var key = row + "," + col;
+			var cell = levels[level][key];
+			if (!cell)
+				cell = levels[level][key] = {level: level, row: row, col: col, locations: [], x: 0, y: 0, z: 0};
+			cell.locations.push(latLong);
+			cell.x += vector.x;
+			cell.y += vector.y;
+			cell.z += vector.z;
+		}
+	}
+	this.locationIndex = {levels: levels, expiring: expiring};
+	return this.locationIndex;
 };
 
 /**
- * Draws the LatLong location objects
+ * Draws the indexed locations as clusters and single locations (see setClustering), adding the labels to the labels array if given.
+ * Only the cells that might be on the near side of the globe are visited, from the coarsest level down.
  */
-Globe.prototype.drawLocations = function(nowUtcMs)
+Globe.prototype._drawClusters = function(locationIndex, labels)
 {
-	if (this.gOver && this.overDirty)
-	{
-		this.gOver.clearRect(0, 0, this.canvasOver.width, this.canvasOver.height);
-		this.overDirty = false;
-	}
+	"use strict";
+	var clustering = this.clustering;
+	var cellDegrees = Globe.CLUSTER_CELL_DEGREES;
+	var radius = this.size * this.zoom / 2;
+	var xCenter = this.xOffset + this.size / 2;
+	var yCenter = this.yOffset + this.size / 2;
+	var canvasWidth = this.canvas.width / this.pixelRatio;
+	var canvasHeight = this.canvas.height / this.pixelRatio;
 
-	if (this.gUnder && this.underDirty)
-	{
-		this.gUnder.clearRect(0, 0, this.canvasUnder.width, this.canvasUnder.height);
-		this.underDirty = false;
-	}
-	var grimReaperCount = 0;
+	// The coarsest level with cells no bigger on screen than the cluster radius
+	var pixelsPerDegree = radius * Math.PI / 180;
+	var targetLevel = 0;
+	while (targetLevel < cellDegrees.length - 1 && cellDegrees[targetLevel + 1] * pixelsPerDegree <= clustering.radius)
+		++targetLevel;
 
-	for (var index = 0; index < this.locations.length; ++index)
+	// Gather the visible cells at the target level
+	var items = [];
+	var self = this;
+	var visit = function(cell)
 	{
-		var geoc = this.locations[index];
-		var where = this.getXYCoordinates(geoc);
-
-		var textSize;
-		var textX;
-		var textY;
-		var color = geoc.color || this.dotColor;
-		var alpha = 1;
-		if (geoc.expiration) {
-			var timeLeft = geoc.expiration - nowUtcMs;
-			if (timeLeft < 1000) {
-				if (timeLeft <= 0) {
-					geoc.isDead = true;
-					grimReaperCount++;
-					continue;
-				}
-				alpha = timeLeft / 1000;
-			}
+		var degrees = cellDegrees[cell.level];
+		var centerLatitude = Math.min(90, -90 + (cell.row + 0.5) * degrees);
+		var centerVector = new LatLong(centerLatitude, -180 + (cell.col + 0.5) * degrees).toVector();
+		var centerView = self._worldToView(centerVector.x, centerVector.y, centerVector.z);
+		var reach = (degrees * 0.71 / 180) * Math.PI; // 0.71 is about half the diagonal of a square cell
+		if (centerView.z < -Math.sin(reach))
+			return; // Entirely behind the globe
+		var reachPixels = reach * radius;
+		var centerX = xCenter + centerView.x * radius;
+		var centerY = yCenter - centerView.y * radius;
+		if (centerX < -reachPixels || centerY < -reachPixels || centerX > canvasWidth + reachPixels || centerY > canvasHeight + reachPixels)
+			return; // Entirely off the canvas when zoomed in
+		if (cell.level === targetLevel)
+		{
+			var view = self._worldToView(cell.x, cell.y, cell.z);
+			var length = Math.sqrt(view.x * view.x + view.y * view.y + view.z * view.z) || 1;
+			if (view.z >= 0)
+				items.push({count: cell.locations.length, cells: [cell], x: xCenter + (view.x / length) * radius, y: yCenter - (view.y / length) * radius});
+			return;
 		}
-		if (where.foreground)
+		var children = locationIndex.levels[cell.level - 1];
+		for (var r = cell.row * 2; r <= cell.row * 2 + 1; ++r)
 		{
-			var foreG = this.gOver || this.g;
-			foreG.globalAlpha = alpha;
-
-			Globe.fillCircle(foreG, where.x, where.y, this.dotRadius, color);
-			if (geoc.description)
+			for (var c = cell.col * 2; c <= cell.col * 2 + 1; ++c)
 			{
-				textSize = foreG.measureText(geoc.description);
-				if (!textSize.height)
-					textSize.height = 10;
-				textX = where.x + ((where.xRel/2 - 0.5) * textSize.width);
-				textY = where.y < this.size / 2 ? where.y - textSize.height : where.y + textSize.height;
-				textY += this.textShiftDown * textSize.height;
-				foreG.fillStyle = color;
-				foreG.fillText(geoc.description, textX, textY);
+				var child = children[r + "," + c];
+				if (child)
+					visit(child);
 			}
-			this.overDirty = true;
 		}
-		if (this.gUnder)
+	};
+	var top = locationIndex.levels[cellDegrees.length - 1];
+	for (var key in top)
+	{
+		if (top.hasOwnProperty(key))
+			visit(top[key]);
+	}
+
+	// Merge items that are close on screen, biggest first, using a grid of buckets the size of the cluster radius
+	items.sort(function(a, b) { return b.count - a.count; });
+	var bucketSize = clustering.radius;
+	var buckets = {};
+	var accepted = [];
+	for (var i = 0; i < items.length; ++i)
+	{
+		var item = items[i];
+		var bx = Math.floor(item.x / bucketSize);
+		var by = Math.floor(item.y / bucketSize);
+		var into = null;
+		for (var dx = -1; dx <= 1 && !into; ++dx)
 		{
-			if (!where.foreground)
+			for (var dy = -1; dy <= 1 && !into; ++dy)
 			{
-				this.gUnder.globalAlpha = alpha;
-				Globe.fillCircle(this.gUnder, where.x, where.y, this.dotRadius, color);
-				if (geoc.description)
+				var bucket = buckets[(bx + dx) + "," + (by + dy)];
+				for (var b = 0; bucket && b < bucket.length && !into; ++b)
 				{
-					textSize = this.gUnder.measureText(geoc.description);
-					if (!textSize.height)
-						textSize.height = 10;
-					textX = where.x + ((where.xRel/2 - 0.5) * textSize.width);
-					textY = where.y < this.size / 2 ? where.y - textSize.height : where.y + textSize.height;
-					textY += this.textShiftDown * textSize.height;
-					this.gUnder.fillStyle = color;
-					this.gUnder.fillText(geoc.description, textX, textY);
+					var ox = bucket[b].x - item.x;
+					var oy = bucket[b].y - item.y;
+					if (ox * ox + oy * oy < bucketSize * bucketSize)
+						into = bucket[b];
 				}
-				this.underDirty = true;
 			}
 		}
-	}//...for
+		if (into)
+		{
+			into.count += item.count;
+			into.cells = into.cells.concat(item.cells);
+		}
+		else
+		{
+			var bucketKey = bx + "," + by;
+			(buckets[bucketKey] = buckets[bucketKey] || []).push(item);
+			accepted.push(item);
+		}
+	}
 
-	// Remove any expired locations
-	if (grimReaperCount)
+	// Draw the bubbles and the lone locations
+	var g = this.gOver || this.g;
+	for (i = 0; i < accepted.length; ++i)
 	{
-		var remaining = grimReaperCount;
-		for (var i = this.locations.length-1; remaining && i >= 0; --i)
+		item = accepted[i];
+		if (item.count === 1)
 		{
-			var loc = this.locations[i];
-			if (loc.isDead) {
-				--remaining;
-				this.locations.splice(i, 1);
-			}
+			var latLong = item.cells[0].locations[0];
+			var where = this.getXYCoordinates(latLong);
+			var bounds = this._drawLocation(g, latLong, where, latLong.color || this.dotColor, 1, labels);
+			this.drawnLocations.push({location: latLong, x: bounds.x, y: bounds.y, radius: bounds.radius});
 		}
-		this.expireLocCount -= grimReaperCount;
+		else
+		{
+			item.radius = Math.min(clustering.radius * 0.75, 7 + 6 * Math.log(item.count) / Math.LN10);
+			g.globalAlpha = 1;
+			Globe.fillCircle(g, item.x, item.y, item.radius, clustering.color);
+			g.save();
+			g.fillStyle = clustering.textColor;
+			g.font = clustering.font;
+			g.textAlign = "center";
+			g.textBaseline = "middle";
+			g.fillText(String(item.count), item.x, item.y);
+			g.restore();
+			this.drawnClusters.push(item);
+		}
+		this.overDirty = true;
+	}
+};
+
+/**
+ * Returns the cluster bubble drawn at the given pixel coordinates, or null if there isn’t one (see setClustering).
+ * A cluster has .count (the number of locations in it), and .x and .y (its pixel coordinates).
+ *
+ * @param {number} canvasX - The horizontal pixel coordinate, relative to the drawing canvas.
+ * @param {number} canvasY - The vertical pixel coordinate, relative to the drawing canvas.
+ * @return {object}
+ */
+Globe.prototype.getClusterAt = function(canvasX, canvasY)
+{
+	"use strict";
+	for (var i = this.drawnClusters.length - 1; i >= 0; --i)
+	{
+		var cluster = this.drawnClusters[i];
+		var dx = cluster.x - canvasX;
+		var dy = cluster.y - canvasY;
+		if (dx * dx + dy * dy <= cluster.radius * cluster.radius)
+			return cluster;
 	}
+	return null;
+};
+
+/**
+ * Returns the locations in a cluster returned by getClusterAt() or passed to a clusterclick callback.
+ *
+ * @param {object} cluster - The cluster
+ * @return {LatLong[]}
+ */
+Globe.prototype.getClusterLocations = function(cluster)
+{
+	"use strict";
+	var locations = [];
+	for (var i = 0; i < cluster.cells.length; ++i)
+		locations = locations.concat(cluster.cells[i].locations);
+	return locations;
 };
@@ -0,0 +1,184 @@
+/**
+ * Constructs a new Heatmap: weighted samples gathered into a grid of latitudes and longitudes, smoothed,
+ * and colored by density, for blending into the globe image (see Globe.prototype.setHeatmap).
+ *
+ * @param {object} [options]
+ *      @param {object[]} [options.samples] - The first samples (see addSamples)
+ *      @param {number} [options.resolution=1] - The size of the grid cells in degrees
+ *      @param {number} [options.radius=3] - How far each sample spreads in degrees, measured along the surface (a Gaussian kernel)
+ *      @param {number} [options.max] - The density shown in the last color (by default, the highest density)
+ *      @param {string[]} [options.colors=["#0000ff", "#00ffff", "#00ff00", "#ffff00", "#ff0000"]] - Hex CSS colors (#rgb or #rrggbb),
+ *           evenly spaced from no density to the max
+ *      @param {number} [options.opacity=0.7] - The opacity at the max. Lower densities fade out toward nothing.
+ * @constructor
+ */
+function Heatmap(options)
+{
+	"use strict";
+	options = options || {};
+	this.resolution = options.resolution || 1;
+	this.radius = options.radius == null ? 3 : options.radius;
+	this.max = options.max || null;
+	this.colors = options.colors || ["#0000ff", "#00ffff", "#00ff00", "#ffff00", "#ff0000"];
+	this.opacity = options.opacity == null ? 0.7 : options.opacity;
+	this.rows = Math.round(180 / this.resolution);
+	this.columns = Math.round(360 / this.resolution);
+	if (!(this.rows > 0 && this.columns > 0))
+		throw "The heatmap resolution must be a positive number of degrees";
+	this.weights = new Float32Array(this.rows * this.columns); // The total sample weight in each cell, north row first
+	this.density = null; // Cached by getDensity()
+	this.colorTable = null; // Cached by getColorTable()
+	if (options.samples)
+		this.addSamples(options.samples);
+}
+
+/**
+ * Adds samples to the heatmap. Each sample is a LatLong, or any object with .latitude and .longitude,
+ * and an optional .weight (1 if omitted).
+ *
+ * @param {object[]} samples - The samples
+ */
+Heatmap.prototype.addSamples = function(samples)
+{
+	"use strict";
+	var resolution = this.resolution;
+	for (var i = 0; i < samples.length; ++i)
+	{
+		var sample = samples[i];
+		var weight = sample.weight == null ? 1 : sample.weight;
+		var row = Math.max(0, Math.min(this.rows - 1, Math.floor((90 - sample.latitude) / resolution)));
+		var column = Math.floor(Globe.mod(sample.longitude + 180, 360) / resolution) % this.columns;
+		this.weights[row * this.columns + column] += weight;
+	}
+	this.density = null;
+};
+
+/**
+ * Removes all the samples
+ */
+Heatmap.prototype.clear = function()
+{
+	"use strict";
+	this.weights = new Float32Array(this.rows * this.columns);
+	this.density = null;
+};
+
+/**
+ * Returns the smoothed density of each grid cell, north row first, scaled so the max is 1.
+ * The result is cached until the samples change.
+ *
+ * @return {Float32Array}
+ */
+Heatmap.prototype.getDensity = function()
+{
+	"use strict";
+	if (this.density)
+		return this.density;
+	var rows = this.rows;
+	var columns = this.columns;
+	var resolution = this.resolution;
+	var sigmaCells = Math.max(0.5, this.radius / resolution / 2);
+	var across = new Float32Array(rows * columns);
+	var density = new Float32Array(rows * columns);
+
+	// Smooth along each row, where cells get narrower toward the poles, wrapping around at 180°
+	for (var row = 0; row < rows; ++row)
+	{
+		var latitude = 90 - (row + 0.5) * resolution;
+		var sigma = sigmaCells / Math.max(Math.cos((latitude / 180) * Math.PI), 1e-3);
+		var reach = Math.min(Math.floor((columns - 1) / 2), Math.ceil(sigma * 2)); // Never reaching the same cell from both sides
+		var kernel = Heatmap.gaussianKernel(sigma, reach);
+		var rowStart = row * columns;
+		for (var column = 0; column < columns; ++column)
+		{
+			var weight = this.weights[rowStart + column];
+			if (!weight)
+				continue;
+			for (var k = -reach; k <= reach; ++k)
+				across[rowStart + Globe.mod(column + k, columns)] += weight * kernel[k + reach];
+		}
+	}
+
+	// Then along each column, stopping at the poles
+	reach = Math.ceil(sigmaCells * 2);
+	kernel = Heatmap.gaussianKernel(sigmaCells, reach);
+	var max = 0;
+	for (row = 0; row < rows; ++row)
+	{
+		for (column = 0; column < columns; ++column)
+		{
+			var total = 0;
+			var used = 0; // The part of the kernel left after cutting it off at the poles
+			for (k = Math.max(-reach, -row); k <= reach && row + k < rows; ++k)
+			{
+				total += across[(row + k) * columns + column] * kernel[k + reach];
+				used += kernel[k + reach];
+			}
+			total /= used;
+			density[row * columns + column] = total;
+			if (total > max)
+				max = total;
+		}
+	}
+
+	var scale = (this.max || max) > 0 ? 1 / (this.max || max) : 0;
+	for (var i = 0; i < density.length; ++i)
+		density[i] = Math.min(1, density[i] * scale);
+	this.density = density;
+	return density;
+};
+
+/**
+ * Returns the colors for 256 density levels, as red, green, blue and alpha bytes (not premultiplied).
+ *
+ * @return {Uint8ClampedArray}
+ */
+Heatmap.prototype.getColorTable = function()
+{
+	"use strict";
+	if (this.colorTable)
+		return this.colorTable;
+	var rgbs = this.colors.map(function(color) {
+		var parts = /\((\d+),(\d+),(\d+),/.exec(Globe.colorWithAlpha(color, 1));
+		if (!parts)
+			throw "Heatmap colors must be hex colors: " + color;
+		return [+parts[1], +parts[2], +parts[3]];
+	});
+	var table = new Uint8ClampedArray(256 * 4);
+	for (var level = 0; level < 256; ++level)
+	{
+		var position = (level / 255) * (rgbs.length - 1);
+		var index = Math.min(rgbs.length - 2, Math.floor(position));
+		var fraction = rgbs.length > 1 ? position - index : 0;
+		var from = rgbs[Math.max(0, index)];
+		var to = rgbs[Math.min(rgbs.length - 1, index + 1)];
+		for (var c = 0; c < 3; ++c)
+			table[level * 4 + c] = Math.round(from[c] + (to[c] - from[c]) * fraction);
+		table[level * 4 + 3] = Math.round(255 * this.opacity * Math.sqrt(level / 255));
+	}
+	this.colorTable = table;
+	return table;
+};
+
+/**
+ * Returns the weights of a Gaussian kernel from -reach to +reach, adding up to 1.
+ *
+ * @param {number} sigma - The standard deviation, in cells
+ * @param {number} reach - How many cells the kernel extends each way
+ * @return {number[]}
+ */
+Heatmap.gaussianKernel = function(sigma, reach)
+{
+	"use strict";
+	var kernel = [];
+	var total = 0;
+	for (var k = -reach; k <= reach; ++k)
+	{
+		var weight = Math.exp(-(k * k) / (2 * sigma * sigma));
+		kernel.push(weight);
+		total += weight;
+	}
+	for (k = 0; k < kernel.length; ++k)
+		kernel[k] /= total;
+	return kernel;
+};
@@ -1,8 +1,8 @@
 /**
  * Constructs a new LatLong geographic location 
  * 
- * @param {number} latitude - The latitude in degrees (-180° to 180°)
- * @param {number} longitude - The longitude in degrees (-180° to 180°)
+ * @param {number|string} latitude - The latitude in degrees (-180° to 180°), or a string like 51°30'26"N (see parseLatOrLong)
+ * @param {number|string} longitude - The longitude in degrees (-180° to 180°), or a string like 0°7'39"W
  * @param {string} [description] - The label or name of this location
  * @param {string} [color] - A CSS color (if this location needs a special color)
  * @param {number} [expirationTime] - An optional time to remove the location. Compared against (new Date()).getTime().
@@ -11,13 +11,25 @@
 function LatLong(latitude, longitude, description, color, expirationTime)
 {
 	"use strict";
-	this.latitude = LatLong.parseLatOrLong(latitude); // Horizontal lines, like the equator
-	this.longitude = LatLong.parseLatOrLong(longitude); // Vertical lines
+	this.latitude = LatLong.parseLatOrLong(latitude, "latitude"); // Horizontal lines, like the equator
+	this.longitude = LatLong.parseLatOrLong(longitude, "longitude"); // Vertical lines
 	this.description = description || "";
 	this.color = color;
 	this.expiration = expirationTime;
+	this.start = null; // An optional time for the location to appear, compared against (new Date()).getTime()
 	this.isDead = false;
 	this.details = null;
+	this.font = null; // A CSS font for the label, if it needs a special font
+	this.labelPriority = 0; // Labels with higher priorities are placed first when labels would overlap
+	// Marker style (see Globe.prototype.drawLocations). Null uses the globe’s defaults.
+	this.shape = null; // "circle", "square", "triangle" or "pin" (whose point is at the location)
+	this.radius = null; // The marker size in pixels (half the width of the shape)
+	this.value = null; // A data value to size the marker by (see Globe.prototype.setMarkerSizeScale)
+	this.stroke = null; // A CSS color to outline the marker with
+	this.lineWidth = null; // The outline width in pixels
+	this.icon = null; // An image or canvas to draw instead of the shape
+	this.opacity = null; // The marker opacity (0 to 1)
+	this.renderer = null; // A function that draws the marker instead (see Globe.prototype.setMarkerRenderer)
 }
 
 /**
@@ -94,6 +106,364 @@ LatLong.prototype.toEquirectangular = function(mapWidth, mapHeight)
 		LatLong.latitudeToY_equirectangular(this.latitude, mapHeight));
 };
 
+/**
+ * Returns this location as a unit vector from the center of the Earth: x toward 0° latitude 90° E,
+ * y toward the north pole, and z toward 0° latitude 0° longitude.
+ *
+ * @return {{x:number, y:number, z:number}}
+ */
+LatLong.prototype.toVector = function()
+{
+	"use strict";
+	var latRad = (this.latitude / 180) * Math.PI;
+	var longRad = (this.longitude / 180) * Math.PI;
+	var cosLat = Math.cos(latRad);
+	return {x: cosLat * Math.sin(longRad), y: Math.sin(latRad), z: cosLat * Math.cos(longRad)};
+};
+
+/**
+ * The mean radius of the Earth in kilometers, for the spherical calculations
+ */
+LatLong.EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * The WGS 84 ellipsoid used by GPS, for vincentyDistanceTo(): the equatorial radius in kilometers, and the flattening
+ */
+LatLong.WGS84 = {radiusKm: 6378.137, flattening: 1 / 298.257223563};
+
+/**
+ * Returns the angle between this location and another, seen from the center of the Earth (using the haversine formula).
+ *
+ * @param {LatLong} other - The other location
+ * @return {number} The angle in degrees (0° to 180°)
+ */
+LatLong.prototype.angleTo = function(other)
+{
+	"use strict";
+	var lat1 = (this.latitude / 180) * Math.PI;
+	var lat2 = (other.latitude / 180) * Math.PI;
+	var sinHalfLat = Math.sin((lat2 - lat1) / 2);
+	var sinHalfLong = Math.sin((((other.longitude - this.longitude) / 180) * Math.PI) / 2);
+	var haversine = sinHalfLat * sinHalfLat + Math.cos(lat1) * Math.cos(lat2) * sinHalfLong * sinHalfLong;
+	return ((2 * Math.asin(Math.min(1, Math.sqrt(haversine)))) / Math.PI) * 180;
+};
+
+/**
+ * Returns the great circle distance to another location on a spherical Earth (using the haversine formula).
+ *
+ * @param {LatLong} other - The other location
+ * @param {number} [radiusKm=LatLong.EARTH_RADIUS_KM] - The radius of the sphere
+ * @return {number} The distance in kilometers
+ */
+LatLong.prototype.distanceTo = function(other, radiusKm)
+{
+	"use strict";
+	return ((this.angleTo(other) / 180) * Math.PI) * (radiusKm || LatLong.EARTH_RADIUS_KM);
+};
+
+/**
+ * Returns the shortest distance to another location on the WGS 84 ellipsoid, using Vincenty’s inverse formula.
+ * More accurate than distanceTo() (to within a millimeter rather than about 0.5%), but slower. For nearly antipodal
+ * locations, where the formula doesn’t converge, the path over a pole is found instead (see _antipodalDistance).
+ *
+ * @param {LatLong} other - The other location
+ * @return {number} The distance in kilometers
+ */
+LatLong.prototype.vincentyDistanceTo = function(other)
+{
+	"use strict";
+	var f = LatLong.WGS84.flattening;
+	var L = (LatLong.normalizeLatLong(other.longitude - this.longitude) / 180) * Math.PI;
+	var U1 = Math.atan((1 - f) * Math.tan((this.latitude / 180) * Math.PI));
+	var U2 = Math.atan((1 - f) * Math.tan((other.latitude / 180) * Math.PI));
+	var sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+	var sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+	var lambda = L;
+	var sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+	for (var iteration = 0; iteration < 200; ++iteration)
+	{
+		var sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+		var crossTerm = cosU1 * sinU2 - sinU1 * cosU2 * cosLambda;
+		sinSigma = Math.sqrt((cosU2 * sinLambda) * (cosU2 * sinLambda) + crossTerm * crossTerm);
+		if (sinSigma === 0)
+			return 0; // The same location
+		cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+		sigma = Math.atan2(sinSigma, cosSigma);
+		var sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+		cosSqAlpha = 1 - sinAlpha * sinAlpha;
+		cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - (2 * sinU1 * sinU2) / cosSqAlpha : 0; // 0 along the equator
+		var C = (f / 16) * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+		var lambdaBefore = lambda;
+		lambda = L + (1 - C) * f * sinAlpha * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+		if (Math.abs(lambda - lambdaBefore) < 1e-12)
+			break;
+	}
+	if (iteration === 200 || Math.abs(lambda) > Math.PI)
+	{
+		var distance = LatLong._antipodalDistance(U1, U2, Math.abs(L));
+		return distance < Infinity ? distance : this.distanceTo(other); // The sphere, if all else fails
+	}
+	return LatLong._vincentyLength(cosSqAlpha, sigma, cos2SigmaM);
+};
+
+/**
+ * Returns the length in kilometers of a path on the WGS 84 ellipsoid from Vincenty’s formula, given its arc on the
+ * auxiliary sphere.
+ *
+ * @param {number} cosSqAlpha - The square of the cosine of the path’s azimuth at the equator
+ * @param {number} sigma - The arc length on the auxiliary sphere, in radians
+ * @param {number} cos2SigmaM - The cosine of twice the arc from the equator to the middle of the path
+ * @return {number}
+ */
+LatLong._vincentyLength = function(cosSqAlpha, sigma, cos2SigmaM)
+{
+	"use strict";
+	var a = LatLong.WGS84.radiusKm;
+	var b = a * (1 - LatLong.WGS84.flattening);
+	var sinSigma = Math.sin(sigma);
+	var cosSigma = Math.cos(sigma);
+	var uSq = (cosSqAlpha * (a * a - b * b)) / (b * b);
+	var A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+	var B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+	var deltaSigma = B * sinSigma * (cos2SigmaM + (B / 4) * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+		(B / 6) * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+	return b * A * (sigma - deltaSigma);
+};
+
+/**
+ * Returns the shortest distance on the WGS 84 ellipsoid between nearly antipodal locations, where Vincenty’s
+ * iteration on the longitude doesn’t converge. The path climbs from one location over the northernmost (or
+ * southernmost) point of its great ellipse and down to the other, so it’s found by bisecting on the path’s azimuth
+ * at the equator until it spans the longitude between them.
+ *
+ * @param {number} U1 - The reduced latitude of the first location, in radians
+ * @param {number} U2 - The reduced latitude of the second location, in radians
+ * @param {number} L - The difference in longitude, in radians (0 to pi)
+ * @return {number} The distance in kilometers (Infinity if no such path spans the longitude)
+ */
+LatLong._antipodalDistance = function(U1, U2, L)
+{
+	"use strict";
+	var f = LatLong.WGS84.flattening;
+	var best = Infinity;
+	for (var side = 1; side >= -1; side -= 2)
+	{// Over the north side, then the south side (the same as the north side with the latitudes mirrored)
+		var sinU1 = Math.sin(side * U1);
+		var sinU2 = Math.sin(side * U2);
+		var path = function(sinAlpha)
+		{// The longitude spanned, and the length, of the path with this azimuth at the equator
+			var cosSqAlpha = 1 - sinAlpha * sinAlpha;
+			var cosAlpha = Math.sqrt(cosSqAlpha);
+			var sigma1 = Math.asin(Math.max(-1, Math.min(1, sinU1 / cosAlpha))); // Climbing
+			var sigma2 = Math.PI - Math.asin(Math.max(-1, Math.min(1, sinU2 / cosAlpha))); // Descending
+			var omega1 = Math.atan2(sinAlpha * Math.sin(sigma1), Math.cos(sigma1));
+			var omega2 = Math.atan2(sinAlpha * Math.sin(sigma2), Math.cos(sigma2));
+			if (omega2 < 0)
+				omega2 += Math.PI * 2;
+			var sigma = sigma2 - sigma1;
+			var cos2SigmaM = Math.cos(sigma1 + sigma2);
+			var C = (f / 16) * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+			var longitude = omega2 - omega1 - (1 - C) * f * sinAlpha *
+				(sigma + C * Math.sin(sigma) * (cos2SigmaM + C * Math.cos(sigma) * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+			return {longitude: longitude, sigma: sigma, cosSqAlpha: cosSqAlpha, cos2SigmaM: cos2SigmaM};
+		};
+		// From along a meridian over the pole (spanning pi) to the flattest path that still reaches both latitudes
+		var low = 0;
+		var high = Math.cos(Math.max(Math.abs(U1), Math.abs(U2)));
+		if (path(high).longitude > L)
+			continue; // Even the flattest path over this side spans too much longitude
+		for (var iteration = 0; iteration < 60; ++iteration)
+		{
+			var middle = (low + high) / 2;
+			if (path(middle).longitude > L)
+				low = middle;
+			else
+				high = middle;
+		}
+		var found = path((low + high) / 2);
+		best = Math.min(best, LatLong._vincentyLength(found.cosSqAlpha, found.sigma, found.cos2SigmaM));
+	}
+	return best;
+};
+
+/**
+ * Returns the initial bearing (forward azimuth) for following the great circle from this location to another.
+ *
+ * @param {LatLong} other - The other location
+ * @return {number} The bearing in degrees clockwise from north (0° to 360°)
+ */
+LatLong.prototype.bearingTo = function(other)
+{
+	"use strict";
+	var lat1 = (this.latitude / 180) * Math.PI;
+	var lat2 = (other.latitude / 180) * Math.PI;
+	var deltaLong = ((other.longitude - this.longitude) / 180) * Math.PI;
+	var y = Math.sin(deltaLong) * Math.cos(lat2);
+	var x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLong);
+	return (((Math.atan2(y, x) / Math.PI) * 180) + 360) % 360;
+};
+
+/**
+ * Returns the final bearing on arriving at another location along the great circle from this one
+ * (which differs from the initial bearing, except along the equator or a meridian).
+ *
+ * @param {LatLong} other - The other location
+ * @return {number} The bearing in degrees clockwise from north (0° to 360°)
+ */
+LatLong.prototype.finalBearingTo = function(other)
+{
+	"use strict";
+	return (other.bearingTo(this) + 180) % 360;
+};
+
+/**
+ * Returns the location reached by traveling along a great circle from this location.
+ *
+ * @param {number} bearing - The initial bearing in degrees clockwise from north
+ * @param {number} distanceKm - How far to travel in kilometers
+ * @param {number} [radiusKm=LatLong.EARTH_RADIUS_KM] - The radius of the sphere
+ * @param {string} [description] - A label or name for the new location
+ * @return {LatLong}
+ */
+LatLong.prototype.destination = function(bearing, distanceKm, radiusKm, description)
+{
+	"use strict";
+	var angle = distanceKm / (radiusKm || LatLong.EARTH_RADIUS_KM);
+	var bearingRad = (bearing / 180) * Math.PI;
+	var lat1 = (this.latitude / 180) * Math.PI;
+	var sinLat2 = Math.sin(lat1) * Math.cos(angle) + Math.cos(lat1) * Math.sin(angle) * Math.cos(bearingRad);
+	var lat2 = Math.asin(Math.max(-1, Math.min(1, sinLat2)));
+	var deltaLong = Math.atan2(Math.sin(bearingRad) * Math.sin(angle) * Math.cos(lat1), Math.cos(angle) - Math.sin(lat1) * sinLat2);
+	return new LatLong(
+		(lat2 / Math.PI) * 180,
+		LatLong.normalizeLatLong(this.longitude + (deltaLong / Math.PI) * 180),
+		description);
+};
+
+/**
+ * Returns the location halfway along the great circle between this location and another.
+ *
+ * @param {LatLong} other - The other location
+ * @param {string} [description] - A label or name for the new location
+ * @return {LatLong}
+ */
+LatLong.prototype.midpointTo = function(other, description)
+{
+	"use strict";
+	return this.interpolate(other, 0.5, description);
+};
+
+/**
+ * Returns a location along the great circle from this location to another.
+ *
+ * @param {LatLong} other - The other location
+ * @param {number} fraction - How far along, from 0 (this location) to 1 (the other location)
+ * @param {string} [description] - A label or name for the new location
+ * @return {LatLong}
+ */
+LatLong.prototype.interpolate = function(other, fraction, description)
+{
+	"use strict";
+	return LatLong.fromVector(LatLong.slerp(this.toVector(), other.toVector(), fraction), description);
+};
+
+/**
+ * Returns the smallest box of latitudes and longitudes around this location that holds every location within a distance.
+ * Near the poles, the box spans every longitude.
+ *
+ * @param {number} distanceKm - The distance in kilometers
+ * @param {number} [radiusKm=LatLong.EARTH_RADIUS_KM] - The radius of the sphere
+ * @return {{north:number, south:number, east:number, west:number}} The edges in degrees. East is less than west if the box crosses 180°.
+ */
+LatLong.prototype.boundingBox = function(distanceKm, radiusKm)
+{
+	"use strict";
+	var angle = distanceKm / (radiusKm || LatLong.EARTH_RADIUS_KM);
+	var lat = (this.latitude / 180) * Math.PI;
+	var north = lat + angle;
+	var south = lat - angle;
+	if (north >= Math.PI / 2 || south <= -Math.PI / 2)
+		return {north: Math.min(90, (north / Math.PI) * 180), south: Math.max(-90, (south / Math.PI) * 180), east: 180, west: -180};
+	var deltaLong = (Math.asin(Math.min(1, Math.sin(angle) / Math.cos(lat))) / Math.PI) * 180;
+	return {
+		north: (north / Math.PI) * 180,
+		south: (south / Math.PI) * 180,
+		east: LatLong.normalizeLatLong(this.longitude + deltaLong),
+		west: LatLong.normalizeLatLong(this.longitude - deltaLong)};
+};
+
+/**
+ * Returns the smallest box of latitudes and longitudes that holds all the locations, crossing 180° if that’s smaller.
+ *
+ * @param {LatLong[]} latLongs - The locations (at least one)
+ * @return {{north:number, south:number, east:number, west:number}} The edges in degrees. East is less than west if the box crosses 180°.
+ */
+LatLong.boundingBox = function(latLongs)
+{
+	"use strict";
+	var north = -90;
+	var south = 90;
+	var longitudes = [];
+	for (var i = 0; i < latLongs.length; ++i)
+	{
+		north = Math.max(north, latLongs[i].latitude);
+		south = Math.min(south, latLongs[i].latitude);
+		longitudes.push(LatLong.normalizeLatLong(latLongs[i].longitude));
+	}
+	longitudes.sort(function(a, b) { return a - b; });
+	// The box spans every longitude except the widest gap between them
+	var gapEnd = 0;
+	var widestGap = longitudes[0] + 360 - longitudes[longitudes.length - 1];
+	for (i = 1; i < longitudes.length; ++i)
+	{
+		if (longitudes[i] - longitudes[i - 1] > widestGap)
+		{
+			widestGap = longitudes[i] - longitudes[i - 1];
+			gapEnd = i;
+		}
+	}
+	return {
+		north: north,
+		south: south,
+		east: longitudes[(gapEnd + longitudes.length - 1) % longitudes.length],
+		west: longitudes[gapEnd]};
+};
+
+/**
+ * Returns a point along the great circle between two unit vectors (see toVector), by spherical linear interpolation.
+ *
+ * @param {{x:number, y:number, z:number}} from - The start, at fraction 0
+ * @param {{x:number, y:number, z:number}} to - The end, at fraction 1
+ * @param {number} fraction - How far along
+ * @return {{x:number, y:number, z:number}} A unit vector. Between opposite points, which every great circle joins,
+ *      it follows the meridian through the north pole (or from a pole, the meridian through 0° longitude).
+ */
+LatLong.slerp = function(from, to, fraction)
+{
+	"use strict";
+	var dot = Math.max(-1, Math.min(1, from.x * to.x + from.y * to.y + from.z * to.z));
+	var angle = Math.acos(dot);
+	var sinAngle = Math.sin(angle);
+	if (sinAngle <= 1e-9 && dot < 0)
+	{// Half a turn from the start toward a direction at right angles to it
+		var toward = Math.abs(from.y) < 0.9 ? {x: 0, y: 1, z: 0} : {x: 0, y: 0, z: 1};
+		var along = toward.x * from.x + toward.y * from.y + toward.z * from.z;
+		var perpendicular = {x: toward.x - along * from.x, y: toward.y - along * from.y, z: toward.z - along * from.z};
+		var length = Math.sqrt(perpendicular.x * perpendicular.x + perpendicular.y * perpendicular.y + perpendicular.z * perpendicular.z);
+		var cosTurn = Math.cos(fraction * Math.PI);
+		var sinTurn = Math.sin(fraction * Math.PI) / length;
+		return {
+			x: cosTurn * from.x + sinTurn * perpendicular.x,
+			y: cosTurn * from.y + sinTurn * perpendicular.y,
+			z: cosTurn * from.z + sinTurn * perpendicular.z};
+	}
+	// Falls back to linear interpolation for coincident points
+	var a = sinAngle > 1e-9 ? Math.sin((1 - fraction) * angle) / sinAngle : 1 - fraction;
+	var b = sinAngle > 1e-9 ? Math.sin(fraction * angle) / sinAngle : fraction;
+	return {x: a * from.x + b * to.x, y: a * from.y + b * to.y, z: a * from.z + b * to.z};
+};
+
 /**
  * Normalizes the latitude and longitude to -180° to +180° range.
  */
@@ -135,11 +505,10 @@ LatLong.latOrLongToString = function(degrees, posSuffix, negSuffix)
 	{
 		suffix = posSuffix;
 	}
-	var rounded = Math.round(degrees * 3600) / 3600;
-	var deg = Math.floor(rounded);
-	var minSec = (rounded - deg) * 60;
-	var min = Math.floor(minSec);
-	var sec = Math.floor((minSec - min) * 60);
+	var totalSec = Math.round(degrees * 3600);
+	var deg = Math.floor(totalSec / 3600);
+	var min = Math.floor((totalSec % 3600) / 60);
+	var sec = totalSec % 60;
 	if (min === 0 && sec === 0)
 		return deg + "\u00B0 " + suffix;
 	else if (sec === 0)
@@ -148,23 +517,149 @@ LatLong.latOrLongToString = function(degrees, posSuffix, negSuffix)
 };
 
 /**
- * Parses a single latitude or longitude coordinate as a number, recognizing N or S as negative degrees.
- * Does not parse minutes or seconds as separate numbers
+ * Matches a single coordinate once normalized by parseLatOrLong: an optional hemisphere prefix, an optional sign,
+ * degrees, optional minutes and seconds, and an optional hemisphere suffix.
  */
-LatLong.parseLatOrLong = function(degrees)
-{// TODO: Degrees, minutes, seconds
+LatLong.COORDINATE_PATTERN = /^([NSEW])?\s*([+-])?\s*(\d+(?:\.\d+)?|\.\d+)(?:\s*\u00B0\s*|\s*:\s*|\s+|(?=[NSEW]|$))(?:(\d+(?:\.\d+)?)(?:\s*'\s*|\s*:\s*|\s+|(?=[NSEW]|$))(?:(\d+(?:\.\d+)?)(?:\s*"\s*|\s+|(?=[NSEW]|$)))?)?\s*([NSEW])?$/;
+
+/**
+ * Parses a single latitude or longitude coordinate, recognizing S and W (or a minus sign) as negative degrees.
+ * Understands decimal degrees (-0.1275, 51.5074° N), degrees and decimal minutes (51° 30.44' N),
+ * and degrees, minutes, seconds (51°30'26"N, W 0 7 39, 51:30:26), as written by toStringDms.
+ * Throws an error describing the problem if the coordinate can’t be read.
+ *
+ * @param {number|string} degrees - The coordinate. Numbers are returned unchanged.
+ * @param {string} [axis] - "latitude" or "longitude", to reject the other axis’s hemispheres and out of range degrees
+ * @return {number} The degrees
+ */
+LatLong.parseLatOrLong = function(degrees, axis)
+{
 	"use strict";
 	if (typeof degrees === "number")
 		return degrees;
-	var str = String(degrees).toLowerCase();
-	var isNeg = str.indexOf("s")  > -1|| str.indexOf("w") > -1;
-	str = str.replace("/[news\u00B0 ]/g", "");
-	var num = parseFloat(str);
-	if (num > 0 && isNeg)
+	var text = String(degrees);
+	var what = axis || "latitude or longitude";
+	var str = text.trim().toUpperCase()
+		.replace(/[\u2212\u2012\u2013]/g, "-")
+		.replace(/[\u00BA\u02DA]/g, "\u00B0")
+		.replace(/[\u2033\u201C\u201D]|''|\u2032\u2032/g, '"')
+		.replace(/[\u2032\u2018\u2019]/g, "'");
+	var match = LatLong.COORDINATE_PATTERN.exec(str);
+	if (!match)
+		throw "Can’t read \"" + text + "\" as a " + what;
+	var hemisphere = match[1] || match[6];
+	if (match[1] && match[6])
+		throw "\"" + text + "\" has more than one hemisphere";
+	if (hemisphere && match[2] === "-")
+		throw "\"" + text + "\" has both a minus sign and a hemisphere";
+	if (hemisphere && axis && (axis === "latitude") !== (hemisphere === "N" || hemisphere === "S"))
+		throw "\"" + text + "\" isn’t a " + axis + ", with hemisphere " + hemisphere;
+	if ((match[4] && match[3].indexOf(".") > -1) || (match[5] && match[4].indexOf(".") > -1))
+		throw "\"" + text + "\" has a fraction before its last number";
+	var minutes = match[4] ? parseFloat(match[4]) : 0;
+	var seconds = match[5] ? parseFloat(match[5]) : 0;
+	if (minutes >= 60 || seconds >= 60)
+		throw "\"" + text + "\" has " + (minutes >= 60 ? "minutes" : "seconds") + " of 60 or more";
+	var num = parseFloat(match[3]) + minutes / 60 + seconds / 3600;
+	if (axis && num > (axis === "latitude" ? 90 : 180))
+		throw "\"" + text + "\" is out of range for a " + axis;
+	if (match[2] === "-" || hemisphere === "S" || hemisphere === "W")
 		num = -num;
 	return num;
 };
 
+/**
+ * Parses a location from a string, in any of these forms (and the forms of parseLatOrLong for each coordinate):
+ * • "latitude, longitude", like 51.5074, -0.1275 or 51°30'26"N 0°7'39"W (or longitude first, if the hemispheres say so)
+ * • The output of toString, toStringDms and toStringDmsShort, including the description
+ * • ISO 6709, like +51.5074-000.1275/ or +513026-0000739CRSWGS_84/
+ * • geo: URIs, like geo:51.5074,-0.1275;u=35
+ * Throws an error describing the problem if the location can’t be read.
+ *
+ * @param {string} text - The location
+ * @param {string} [description] - The label or name of this location, if the text doesn’t include one
+ * @return {LatLong}
+ */
+LatLong.parse = function(text, description)
+{
+	"use strict";
+	var str = String(text).trim();
+	var match;
+
+	// geo: URI (RFC 5870), where the coordinates are always WGS 84 decimal degrees
+	if ((match = /^geo:([^,;]+),([^,;]+)(?:,[^,;]+)?((?:;[^;]*)*)$/i.exec(str)))
+	{
+		var crs = /;crs=([^;]*)/i.exec(match[3]);
+		if (crs && crs[1].toLowerCase() !== "wgs84")
+			throw "Unsupported coordinate reference system in \"" + text + "\": " + crs[1];
+		var decimal = function(part, axis)
+		{
+			"use strict";
+			if (!/^\s*[+-]?(\d+(\.\d+)?|\.\d+)\s*$/.test(part))
+				throw "Can’t read \"" + part + "\" as a " + axis + " in \"" + text + "\"";
+			return LatLong.parseLatOrLong(part, axis);
+		};
+		return new LatLong(decimal(match[1], "latitude"), decimal(match[2], "longitude"), description);
+	}
+
+	// ISO 6709, where each coordinate is a sign then ±DD[MM[SS]][.fraction] (three degree digits for the longitude)
+	if ((match = /^([+-])(\d{2}(?:\d{2}){0,2})(\.\d+)?([+-])(\d{3}(?:\d{2}){0,2})(\.\d+)?(?:[+-]\d+(?:\.\d+)?)?(CRS[^\/]*)?\/?$/i.exec(str)))
+	{
+		if (match[7] && !/^CRSWGS_?84$/i.test(match[7]))
+			throw "Unsupported coordinate reference system in \"" + text + "\": " + match[7].substring(3);
+		var iso = function(sign, digits, fraction, degreeDigits, axis)
+		{
+			"use strict";
+			var parts = [digits.substring(0, degreeDigits)];
+			for (var d = degreeDigits; d < digits.length; d += 2)
+				parts.push(digits.substring(d, d + 2));
+			parts[parts.length - 1] += fraction || "";
+			return LatLong.parseLatOrLong(sign + parts.join(" "), axis);
+		};
+		return new LatLong(iso(match[1], match[2], match[3], 2, "latitude"), iso(match[4], match[5], match[6], 3, "longitude"), description);
+	}
+
+	// The descriptions and labels of toString, toStringDms and toStringDmsShort
+	if ((match = /^(.*?),\s*Description:\s*(.*)$/i.exec(str)) || (match = /^(.*\u00B0)\s*:\s*(.*)$/.exec(str)))
+	{
+		str = match[1];
+		description = match[2];
+	}
+	str = str.replace(/\b(latitude|lat|longitude|long|lng|lon)\s*:/gi, "").trim();
+
+	var parsePair = function(first, second)
+	{
+		if (/[EW]/i.test(first) && /[NS]/i.test(second))
+			return new LatLong(LatLong.parseLatOrLong(second.trim(), "latitude"), LatLong.parseLatOrLong(first.trim(), "longitude"), description);
+		return new LatLong(LatLong.parseLatOrLong(first.trim(), "latitude"), LatLong.parseLatOrLong(second.trim(), "longitude"), description);
+	};
+	var halves = str.split(/[,;]/);
+	if (halves.length === 2)
+		return parsePair(halves[0], halves[1]);
+	if (halves.length > 2)
+		throw "Can’t read \"" + text + "\" as a location, with more than two coordinates";
+
+	// Without a comma, split the words where both halves make sense, trying the most even splits first
+	var words = str.split(/\s+/);
+	var middle = Math.floor(words.length / 2);
+	var firstError = null;
+	for (var offset = 0; offset < words.length; ++offset)
+	{
+		var at = middle + (offset % 2 ? -1 : 1) * Math.ceil(offset / 2);
+		if (at < 1 || at >= words.length)
+			continue;
+		try
+		{
+			return parsePair(words.slice(0, at).join(" "), words.slice(at).join(" "));
+		}
+		catch (error)
+		{
+			firstError = firstError || error;
+		}
+	}
+	throw firstError || "Can’t read \"" + text + "\" as a location, with a latitude and a longitude";
+};
+
 /**
  * Returns a new LatLong object from the given coordinates on an equirectangular map
  * 
@@ -183,6 +678,48 @@ LatLong.fromEquirectangularCoords = function(xCoord, yCoord, mapWidth, mapHeight
 		description);
 };
 
+/**
+ * Returns a new LatLong object from a vector from the center of the Earth (see toVector). The vector needn’t be a unit vector.
+ *
+ * @param {{x:number, y:number, z:number}} vector - The direction from the center of the Earth
+ * @param {string} [description] - A label or name for this location
+ */
+LatLong.fromVector = function(vector, description)
+{
+	"use strict";
+	var length = Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+	return new LatLong(
+		(Math.asin(Math.max(-1, Math.min(1, vector.y / length))) / Math.PI) * 180,
+		(Math.atan2(vector.x, vector.z) / Math.PI) * 180,
+		description);
+};
+
+/**
+ * Returns the subsolar point (where the sun is directly overhead) at the given time.
+ * Uses a low-precision solar position formula, accurate to about 0.01° for the years 1950 to 2050.
+ *
+ * @param {Date|number} [date] - The time, as a Date or as milliseconds like (new Date()).getTime(). Now, if omitted.
+ * @return {LatLong}
+ */
+LatLong.subsolarPoint = function(date)
+{
+	"use strict";
+	var ms = date == null ? (new Date()).getTime() : (typeof date === "number" ? date : date.getTime());
+	var toRad = Math.PI / 180;
+	var days = ms / 86400000 - 10957.5; // Days since noon, January 1, 2000 UTC (J2000.0)
+	var meanLongitude = 280.460 + 0.9856474 * days;
+	var meanAnomaly = (357.528 + 0.9856003 * days) * toRad;
+	var eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * toRad;
+	var obliquity = (23.439 - 0.0000004 * days) * toRad;
+	var declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+	var rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+	var siderealDegrees = 280.46061837 + 360.98564736629 * days; // Greenwich mean sidereal time
+	return new LatLong(
+		declination / toRad,
+		LatLong.normalizeLatLong(rightAscension / toRad - siderealDegrees),
+		"Subsolar point");
+};
+
 /** 
  * Converts a latitude measurement in degrees to a y-coordinate on an equirectangular map
  * 
@@ -234,6 +771,63 @@ LatLong.xToLongitude_equirectangular = function(xCoord, mapWidth)
 };
 
 
+/**
+ * The northernmost latitude shown on a square Mercator map (the southernmost is its negative).
+ */
+LatLong.MERCATOR_MAX_LATITUDE = 85.0511287798;
+
+/**
+ * Converts a latitude measurement in degrees to a y-coordinate on a square Mercator map, clamped to the top and bottom edges
+ * 
+ * @param {number} latDeg - The latitude in degrees (-90° to 90°)
+ * @param {number} mapHeight - The map height
+ */
+LatLong.latitudeToY_mercator = function(latDeg, mapHeight)
+{
+	"use strict";
+	latDeg = Math.max(-LatLong.MERCATOR_MAX_LATITUDE, Math.min(LatLong.MERCATOR_MAX_LATITUDE, latDeg));
+	var latRad = (latDeg / 180) * Math.PI;
+	var negOneToOne = Math.log(Math.tan(Math.PI / 4 + latRad / 2)) / Math.PI;
+	return ((1 - negOneToOne) / 2) * mapHeight;
+};
+
+/**
+ * Converts a y-coordinate on a square Mercator map to a latitude in degrees
+ * 
+ * @param {number} yCoord - The y-coordinate on the Mercator map
+ * @param {number} mapHeight - The height of the map
+ */
+LatLong.yToLatitude_mercator = function(yCoord, mapHeight)
+{
+	"use strict";
+	var negOneToOne = 1 - (yCoord / mapHeight) * 2;
+	return (Math.atan(Math.sinh ? Math.sinh(negOneToOne * Math.PI) : (Math.exp(negOneToOne * Math.PI) - Math.exp(-negOneToOne * Math.PI)) / 2) / Math.PI) * 180;
+};
+
+/**
+ * Converts a latitude measurement in degrees to a y-coordinate on a Lambert cylindrical equal-area map
+ * 
+ * @param {number} latDeg - The latitude in degrees (-90° to 90°)
+ * @param {number} mapHeight - The map height
+ */
+LatLong.latitudeToY_lambert = function(latDeg, mapHeight)
+{
+	"use strict";
+	return ((1 - Math.sin((latDeg / 180) * Math.PI)) / 2) * mapHeight;
+};
+
+/**
+ * Converts a y-coordinate on a Lambert cylindrical equal-area map to a latitude in degrees
+ * 
+ * @param {number} yCoord - The y-coordinate on the Lambert map
+ * @param {number} mapHeight - The height of the map
+ */
+LatLong.yToLatitude_lambert = function(yCoord, mapHeight)
+{
+	"use strict";
+	return (Math.asin(Math.max(-1, Math.min(1, 1 - (yCoord / mapHeight) * 2))) / Math.PI) * 180;
+};
+
 /**
  * Returns a new Point object with x and y coordinates
  * @constructor
@@ -0,0 +1,81 @@
+/**
+ * Constructs a new Region: a filled area on the globe, bounded by rings of locations joined along great circles.
+ *
+ * @param {LatLong[]|LatLong[][]|LatLong[][][]} rings - A single ring of locations, a polygon (an outer ring followed
+ *      by any hole rings), or an array of polygons. Rings needn’t repeat their first location at the end.
+ *      An outer ring covering more than half the globe should run counterclockwise, as in GeoJSON, so its inside is known
+ *      when the whole ring is out of sight behind the globe.
+ * @param {object} [style]
+ *      @param {string} [style.fill="rgba(255,0,0,0.35)"] - A CSS color to fill the region with, or null for no fill.
+ *           If omitted for a region with a value, the globe’s region color scale picks the color (see Globe.prototype.setRegionColorScale).
+ *      @param {number} [style.value] - A data value for the region, such as sales, for choropleth coloring
+ *      @param {string} [style.stroke] - A CSS color for the outline, or omit for no outline
+ *      @param {number} [style.lineWidth=1] - The outline width in pixels
+ *      @param {string} [style.description] - The label or name of this region
+ * @constructor
+ */
+function Region(rings, style)
+{
+	"use strict";
+	style = style || {};
+	if (!rings || !rings.length)
+		throw "A region needs at least one ring of locations";
+	// Normalize to an array of polygons, each an array of rings
+	if (rings[0] instanceof LatLong)
+		rings = [[rings]];
+	else if (rings[0][0] instanceof LatLong)
+		rings = [rings];
+	rings.forEach(function(polygon) {
+		polygon.forEach(function(ring) {
+			for (var i = 0; i < ring.length; ++i)
+				Route.checkArc(ring[i].toVector(), ring[(i + 1) % ring.length].toVector());
+		});
+	});
+	this.polygons = rings;
+	this.fill = style.fill === undefined ? "rgba(255,0,0,0.35)" : style.fill;
+	this.value = style.value == null ? null : style.value;
+	this.fillFromValue = style.fill === undefined; // The color scale decides the fill when there’s a value
+	this.stroke = style.stroke || null;
+	this.lineWidth = style.lineWidth || 1;
+	this.description = style.description || "";
+	this.details = null;
+	this.samples = null; // Cached by getSamples()
+}
+
+/**
+ * Returns the rings of the region as arrays of vectors from the center of the Earth (see LatLong.prototype.toVector),
+ * with points added along the edges so they follow great circles. Each ring is closed (its last point equals its first).
+ * The points are cached, so call resetSamples() after changing the polygons.
+ *
+ * @return {{x:number, y:number, z:number}[][]}
+ */
+Region.prototype.getSamples = function()
+{
+	"use strict";
+	if (this.samples)
+		return this.samples;
+	var samples = [];
+	for (var p = 0; p < this.polygons.length; ++p)
+	{
+		var polygon = this.polygons[p];
+		for (var r = 0; r < polygon.length; ++r)
+		{
+			var ring = polygon[r];
+			var vectors = [];
+			for (var i = 0; i < ring.length; ++i)
+				Route.sampleArc(ring[i].toVector(), ring[(i + 1) % ring.length].toVector(), 0, i === 0, vectors);
+			samples.push(vectors);
+		}
+	}
+	this.samples = samples;
+	return samples;
+};
+
+/**
+ * Clears the cached sample points, so they’re recalculated on the next draw.
+ */
+Region.prototype.resetSamples = function()
+{
+	"use strict";
+	this.samples = null;
+};
@@ -0,0 +1,108 @@
+/**
+ * Constructs a new Route: a path that follows great circles from one location to the next.
+ * A route with only two locations is a single arc.
+ *
+ * @param {LatLong[]} latLongs - The locations to connect, in order (at least two)
+ * @param {object} [style]
+ *      @param {string} [style.color] - A CSS color for the line (the globe’s location color if omitted)
+ *      @param {number} [style.width=1.5] - The line width in pixels
+ *      @param {number} [style.altitude=0] - How high each arc rises at its midpoint, relative to the globe radius (0 follows the surface)
+ *      @param {number[]} [style.dash] - A dash pattern in pixels, as for CanvasRenderingContext2D.setLineDash()
+ *      @param {number} [style.dashSpeed=0] - Pixels per second the dashes travel from the start of the route toward its end
+ *      @param {number} [style.expiration] - An optional time to remove the route. Compared against (new Date()).getTime().
+ * @constructor
+ */
+function Route(latLongs, style)
+{
+	"use strict";
+	if (!latLongs || latLongs.length < 2)
+		throw "A route needs at least two locations";
+	style = style || {};
+	for (var i = 1; i < latLongs.length; ++i)
+		Route.checkArc(latLongs[i - 1].toVector(), latLongs[i].toVector());
+	this.latLongs = latLongs.slice();
+	this.color = style.color;
+	this.width = style.width || 1.5;
+	this.altitude = style.altitude || 0;
+	this.dash = style.dash || null;
+	this.dashSpeed = style.dashSpeed || 0;
+	this.expiration = style.expiration;
+	this.isDead = false;
+	this.details = null;
+	this.samples = null; // Cached by getSamples()
+}
+
+/**
+ * The largest angle in degrees between consecutive sample points along an arc
+ */
+Route.SAMPLE_DEGREES = 2;
+
+/**
+ * Returns points along the route as vectors from the center of the Earth (see LatLong.prototype.toVector),
+ * lengthened where the route rises above the surface. The points are cached, so call resetSamples() after
+ * changing the locations or altitude.
+ *
+ * @return {{x:number, y:number, z:number}[]}
+ */
+Route.prototype.getSamples = function()
+{
+	"use strict";
+	if (this.samples)
+		return this.samples;
+	var samples = [];
+	for (var i = 1; i < this.latLongs.length; ++i)
+		Route.sampleArc(this.latLongs[i - 1].toVector(), this.latLongs[i].toVector(), this.altitude, i === 1, samples);
+	this.samples = samples;
+	return samples;
+};
+
+/**
+ * Clears the cached sample points, so they’re recalculated on the next draw.
+ */
+Route.prototype.resetSamples = function()
+{
+	"use strict";
+	this.samples = null;
+};
+
+/**
+ * Throws if two unit vectors (see LatLong.prototype.toVector) are on opposite sides of the Earth,
+ * since every great circle through one passes through the other, so there’s no single arc between them.
+ *
+ * @param {{x:number, y:number, z:number}} from - The start of the arc
+ * @param {{x:number, y:number, z:number}} to - The end of the arc
+ */
+Route.checkArc = function(from, to)
+{
+	"use strict";
+	if (from.x * to.x + from.y * to.y + from.z * to.z < -1 + 1e-12)
+		throw "Can’t join opposite points on the globe with a single arc; add a location between them";
+};
+
+/**
+ * Adds points along the great circle between two unit vectors (see LatLong.prototype.toVector) to an array,
+ * at most SAMPLE_DEGREES apart. Throws if the points are on opposite sides of the Earth (see checkArc).
+ *
+ * @param {{x:number, y:number, z:number}} from - The start of the arc
+ * @param {{x:number, y:number, z:number}} to - The end of the arc (always included)
+ * @param {number} altitude - How high the arc rises at its midpoint, relative to the radius of the Earth
+ * @param {boolean} includeStart - True to include the start point
+ * @param {object[]} samples - The array to add the points to
+ * @return {object[]} The samples array
+ */
+Route.sampleArc = function(from, to, altitude, includeStart, samples)
+{
+	"use strict";
+	Route.checkArc(from, to);
+	var dot = Math.max(-1, Math.min(1, from.x * to.x + from.y * to.y + from.z * to.z));
+	var angle = Math.acos(dot);
+	var steps = Math.max(1, Math.ceil((angle / Math.PI) * 180 / Route.SAMPLE_DEGREES));
+	for (var step = includeStart ? 0 : 1; step <= steps; ++step)
+	{
+		var t = step / steps;
+		var point = LatLong.slerp(from, to, t);
+		var scale = 1 + altitude * Math.sin(t * Math.PI);
+		samples.push({x: point.x * scale, y: point.y * scale, z: point.z * scale});
+	}
+	return samples;
+};
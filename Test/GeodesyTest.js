@@ -0,0 +1,49 @@
+/**
+ * Tests the distance, bearing and box calculations of LatLong against published values.
+ * Run with: node Test/GeodesyTest.js
+ */
+var assert = require("assert");
+var context = require("./load.js")();
+var LatLong = context.LatLong;
+
+function near(actual, expected, tolerance, message)
+{
+	"use strict";
+	assert.ok(Math.abs(actual - expected) <= tolerance, message + ": expected " + expected + ", got " + actual);
+}
+
+// London to Paris
+var london = new LatLong(51.5074, -0.1278);
+var paris = new LatLong(48.8566, 2.3522);
+near(london.distanceTo(paris), 343.56, 0.01, "Great circle distance from London to Paris");
+near(london.vincentyDistanceTo(paris), 343.923, 0.001, "WGS 84 distance from London to Paris");
+near(london.bearingTo(paris), 148.116, 0.001, "Initial bearing from London to Paris");
+near(london.finalBearingTo(paris), 150.021, 0.001, "Final bearing arriving in Paris");
+var midpoint = london.midpointTo(paris);
+near(midpoint.latitude, 50.1886, 0.0001, "Midpoint latitude");
+near(midpoint.longitude, 1.1466, 0.0001, "Midpoint longitude");
+var there = london.destination(london.bearingTo(paris), london.distanceTo(paris));
+near(there.latitude, paris.latitude, 1e-9, "Destination latitude");
+near(there.longitude, paris.longitude, 1e-9, "Destination longitude");
+
+// Antipodes, where Vincenty’s iteration doesn’t converge
+near(new LatLong(0, 0).vincentyDistanceTo(new LatLong(0, 180)), 20003.931459, 1e-6, "Equatorial antipodes, over a pole");
+near(new LatLong(90, 0).vincentyDistanceTo(new LatLong(-90, 0)), 20003.931459, 1e-6, "Pole to pole");
+near(new LatLong(-30, 0).vincentyDistanceTo(new LatLong(29.9, 179.8)), 19989.832828, 1e-6, "Nearly antipodal (Karney’s example)");
+near(new LatLong(0, 0).vincentyDistanceTo(new LatLong(0, 179)), 6378.137 * Math.PI * 179 / 180, 1e-6, "Along the equator, short of the antipode");
+var between = new LatLong(10, 20).midpointTo(new LatLong(-10, -160));
+near(new LatLong(10, 20).distanceTo(between), new LatLong(10, 20).distanceTo(new LatLong(-10, -160)) / 2, 0.001, "Halfway between antipodes");
+assert.ok(new LatLong(10, 20).angleTo(between) > 89.999, "Halfway between antipodes is on the surface, not at the center");
+
+// Boxes across 180°
+var box = new LatLong(0, 179).boundingBox(500);
+near(box.north, 4.4966, 0.0001, "Box north");
+near(box.south, -4.4966, 0.0001, "Box south");
+near(box.west, 174.5034, 0.0001, "Box west");
+near(box.east, -176.5034, 0.0001, "Box east, past 180°");
+box = LatLong.boundingBox([new LatLong(10, 170), new LatLong(-5, -170), new LatLong(3, 179)]);
+assert.deepStrictEqual([box.north, box.south, box.west, box.east], [10, -5, 170, -170], "Box around locations either side of 180°");
+box = new LatLong(85, 0).boundingBox(1000);
+assert.deepStrictEqual([box.north, box.west, box.east], [90, -180, 180], "A box over a pole spans every longitude");
+
+console.log("GeodesyTest passed");
@@ -0,0 +1,72 @@
+/**
+ * Tests the texture projections and the mapping between locations and canvas pixels, rendering into ImageData
+ * with no document or canvas. Run with: node Test/ProjectionTest.js
+ */
+var assert = require("assert");
+var context = require("./load.js")();
+var Globe = context.Globe;
+var LatLong = context.LatLong;
+
+function near(actual, expected, tolerance, message)
+{
+	"use strict";
+	assert.ok(Math.abs(actual - expected) <= tolerance, message + ": expected " + expected + ", got " + actual);
+}
+
+// Rows for the sines of latitudes, in a 180 pixel high texture
+var sin30 = Math.sin(Math.PI / 6);
+near(Globe.projections.lambert(1, 180), 0, 1e-9, "Lambert north pole");
+near(Globe.projections.lambert(0, 180), 90, 1e-9, "Lambert equator");
+near(Globe.projections.lambert(sin30, 180), 45, 1e-9, "Lambert 30°N (equal area, so halfway up the northern half)");
+near(Globe.projections.equirectangular(sin30, 180), 60, 1e-9, "Equirectangular 30°N");
+near(Globe.projections.equirectangular(-1, 180), 180, 1e-9, "Equirectangular south pole");
+near(Globe.projections.mercator(0, 180), 90, 1e-9, "Mercator equator");
+near(Globe.projections.mercator(Math.sin(LatLong.MERCATOR_MAX_LATITUDE / 180 * Math.PI), 180), 0, 1e-6, "Mercator top edge");
+near(Globe.projections.mercator(1, 180), 0, 1e-6, "Mercator clamps the poles to the edge");
+
+// A 64 × 32 equirectangular texture with the column in red and the row in green
+var texture = {width: 64, height: 32, data: new Uint8ClampedArray(64 * 32 * 4)};
+for (var i = 0; i < 64 * 32; ++i)
+{
+	texture.data[i * 4] = i % 64;
+	texture.data[i * 4 + 1] = Math.floor(i / 64);
+	texture.data[i * 4 + 3] = 255;
+}
+var target = {width: 101, height: 101, data: new Uint8ClampedArray(101 * 101 * 4)};
+var globe = new Globe({canvas: target, image: texture, projection: "equirectangular", clock: new Globe.ManualClock(0)});
+assert.strictEqual(globe.size, 101, "The globe fills the ImageData");
+
+// Locations and pixels, both ways, at several orientations
+[[0, 0, 0], [40, 25, 0], [-120, -60, 30], [170, 80, -45]].forEach(function(orientation) {
+	globe.setOrientation(orientation[0], orientation[1], orientation[2]);
+	[[0, 0], [35, 20], [-50, -100], [10, 179]].forEach(function(latLong) {
+		var where = globe.getXYCoordinates(latLong[0], latLong[1]);
+		if (!where.foreground)
+			return;
+		var back = globe.getLatLong(where.x, where.y);
+		var label = latLong + " at " + orientation;
+		near(back.latitude, latLong[0], 1e-6, "Latitude round trip for " + label);
+		near(LatLong.normalizeLatLong(back.longitude - latLong[1]), 0, 1e-6, "Longitude round trip for " + label);
+	});
+});
+
+// The location facing the viewer is drawn at the center, from the texture pixels around that location
+globe.setOrientation(0, 0, 0);
+var facing = globe.getXYCoordinates(0, 0);
+near(facing.x, 50.5, 1e-9, "Facing location x");
+near(facing.y, 50.5, 1e-9, "Facing location y");
+var center = (50 * 101 + 50) * 4;
+near(target.data[center], 32, 1, "The center pixel comes from the middle column (longitude 0°)");
+near(target.data[center + 1], 16, 1, "The center pixel comes from the middle row (the equator)");
+globe.setOrientation(90, 0, 0);
+near(target.data[center], 48, 1, "Turned to 90°E, the center pixel comes from three quarters across");
+assert.strictEqual(target.data[center + 3], 255, "The globe is opaque inside");
+assert.strictEqual(target.data[3], 0, "The corners are transparent");
+
+// The clip-art texture is drawn without a canvas when there's no document
+var plain = {width: 40, height: 40, data: new Uint8ClampedArray(40 * 40 * 4)};
+var clipArt = new Globe({canvas: plain, clock: new Globe.ManualClock(0)});
+assert.strictEqual(clipArt.textureProjection, "lambert", "The clip-art is a Lambert projection");
+assert.strictEqual(plain.data[(20 * 40 + 20) * 4 + 3], 255, "The clip-art globe is drawn");
+
+console.log("ProjectionTest passed");
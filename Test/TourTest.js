@@ -0,0 +1,77 @@
+/**
+ * Tests tours on a manual clock: dragging the globe during a flight pauses the tour only if it pauses on interaction.
+ * Run with: node Test/TourTest.js
+ */
+var assert = require("assert");
+var context = require("./load.js")();
+var Globe = context.Globe;
+var LatLong = context.LatLong;
+
+function makeGlobe()
+{
+	"use strict";
+	var target = {width: 101, height: 101, data: new Uint8ClampedArray(101 * 101 * 4)};
+	var globe = new Globe({canvas: target, image: target, clock: new Globe.ManualClock(0)});
+	// Standing in for a globe on a page, which takes the mouse
+	globe.eventCanvas = {getBoundingClientRect: function() { return {left: 0, top: 0}; }};
+	globe.interactive = true;
+	globe.addLocation(new LatLong(10, 60));
+	globe.addLocation(new LatLong(-20, -80));
+	return globe;
+}
+
+function drag(globe)
+{
+	"use strict";
+	var clock = globe.clock;
+	globe._handleMousedown({clientX: 50, clientY: 50, pageX: 50, pageY: 50});
+	for (var x = 55; x <= 70; x += 5)
+	{
+		clock.advance(20);
+		globe._handleMousemove({clientX: x, clientY: 50, pageX: x, pageY: 50});
+	}
+	clock.advance(500); // Holding still before letting go, so the globe doesn’t spin on
+	globe._handleMousemove({clientX: 70, clientY: 50, pageX: 70, pageY: 50});
+	globe._handleMouseup({clientX: 70, clientY: 50, pageX: 70, pageY: 50});
+}
+
+function run(globe, ms)
+{
+	"use strict";
+	for (var t = 0; t < ms; t += 50)
+		globe.clock.advance(50);
+}
+
+// A tour that doesn’t pause carries on with the trip once the drag is over, then goes on to the next location
+var globe = makeGlobe();
+var visits = [];
+var facing = [];
+globe.on("tourvisit", function(e) { visits.push(e.location); facing.push(globe.getOrientation().longitude); });
+globe.startTour({pauseOnInteraction: false, resumeAfterIdle: 0, dwell: 1000});
+run(globe, 200);
+assert.ok(globe.flight, "The tour is flying to its first location");
+drag(globe);
+assert.ok(!globe.tour.paused, "Dragging doesn’t pause the tour");
+assert.ok(!globe.flight && !visits.length, "The drag stopped the flight");
+run(globe, 5000);
+assert.strictEqual(visits[0], globe.locations[0], "The tour finished the trip to its first location");
+near(facing[0], 60, "Facing the first location");
+run(globe, 5000);
+assert.strictEqual(visits[1], globe.locations[1], "The tour went on to the next location");
+
+// A tour that pauses on interaction, with no resuming after idling, stays where the drag left it
+globe = makeGlobe();
+visits = [];
+globe.on("tourvisit", function(e) { visits.push(e.location); });
+globe.startTour({resumeAfterIdle: 0, dwell: 1000});
+run(globe, 200);
+drag(globe);
+assert.ok(globe.tour.paused, "Dragging pauses the tour");
+run(globe, 10000);
+assert.strictEqual(visits.length, 0, "The paused tour stays paused");
+
+function near(actual, expected, message)
+{
+	"use strict";
+	assert.ok(Math.abs(actual - expected) <= 1e-6, message + ": expected " + expected + ", got " + actual);
+}
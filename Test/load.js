@@ -0,0 +1,19 @@
+/**
+ * Loads the globe sources into a fresh context without a DOM, the way a page loads them with script tags,
+ * and returns the context with Globe, LatLong and the rest as its properties.
+ * The tests are plain Node scripts, run with: node Test/<name>Test.js
+ */
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+module.exports = function()
+{
+	"use strict";
+	var context = vm.createContext({console: console});
+	["Globe.js", "LatLong.js", "Route.js", "Region.js", "Circle.js", "Heatmap.js"].forEach(function(file) {
+		var source = path.join(__dirname, "..", "Source", file);
+		vm.runInContext(fs.readFileSync(source, "utf8"), context, {filename: source});
+	});
+	return context;
+};